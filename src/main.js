@@ -19,18 +19,457 @@
  * @property {Array.<string>} signinMethods All sign-in methods this user has used.
  */
 
+/**
+ * Returned by the sign-in methods when the account requires a second factor to finish signing in.
+ * @typedef {Object} MfaRequiredResult
+ * @property {'mfaRequired'} type The type of the result.
+ * @property {string} mfaPendingCredential An opaque string that identifies the pending sign-in.
+ * @property {Array.<Object>} mfaInfo The second factors enrolled by the user.
+ */
+
+/**
+ * Returned by the sign-in methods once the user is signed in.
+ * @typedef {Object} SignInResult
+ * @property {'signIn'} type The type of the result.
+ * @property {Object} user The signed-in user.
+ * @property {Object|null} credential The OAuth credential of a federated provider, which can be used to call its APIs.
+ * @property {string} credential.providerId The ID of the provider, for example "google.com".
+ * @property {string} [credential.accessToken] The OAuth access token.
+ * @property {string} [credential.idToken] The OIDC ID token.
+ * @property {string} [credential.oauthTokenSecret] The OAuth 1.0 token secret, only for providers like Twitter.
+ * @property {Object} additionalUserInfo What the provider knows about the user.
+ * @property {string} additionalUserInfo.providerId The ID of the provider the user signed in with.
+ * @property {Object|null} additionalUserInfo.profile The raw profile from the provider.
+ * @property {string|null} additionalUserInfo.username The screen name of the user, for providers that have one.
+ * @property {boolean} additionalUserInfo.isNewUser Whether the account was created by this sign-in.
+ * @property {boolean} isNewUser Whether the account was created by this sign-in.
+ * @property {string} [context] The context passed when a federated sign-in started.
+ */
+
+/**
+ * Returned when starting the enrollment of an authenticator app (TOTP) as a second factor.
+ * @typedef {Object} TotpEnrollment
+ * @property {string} sessionInfo The session info needed to finish the enrollment with `enrollTotp`.
+ * @property {string} secret The shared secret key, can be typed manually into the authenticator app.
+ * @property {number} verificationCodeLength The amount of digits in each code.
+ * @property {string} hashingAlgorithm The algorithm used to generate the codes.
+ * @property {number} periodSec The amount of seconds each code is valid for.
+ * @property {string} uri An "otpauth://" URI with all of the above, meant to be rendered as a QR code.
+ */
+
+/**
+ * Settings for the links sent by "sendOobCode". The app fields are only needed when the link should open a mobile app.
+ * @typedef {Object} ActionCodeSettings
+ * @property {string} [continueUrl] The page the link leads to, defaults to the `redirectUri`.
+ * @property {boolean} [canHandleCodeInApp] Open the link in the app or in the `continueUrl` page directly, instead of the Firebase action page.
+ * @property {string} [iOSBundleId] The bundle ID of the iOS app that should open the link.
+ * @property {string} [androidPackageName] The package name of the Android app that should open the link.
+ * @property {boolean} [androidInstallApp] Whether to install the Android app if it's not installed yet.
+ * @property {string} [androidMinimumVersion] The minimum version of the Android app that can open the link.
+ * @property {string} [dynamicLinkDomain] The Dynamic Links domain to use, when the project has more than one.
+ * @property {string} [targetProjectId] The ID of the project the account belongs to, when it's not the project of the API key.
+ */
+
+/**
+ * Returned by federated sign-ins when the credential already belongs to a different account than the signed-in one,
+ * for example when upgrading an anonymous account. Finish it with `signInWithPendingCredential`.
+ * @typedef {Object} CredentialConflictResult
+ * @property {'credentialConflict'} type The type of the result.
+ * @property {'FEDERATED_USER_ID_ALREADY_LINKED'|'EMAIL_EXISTS'|'NEED_CONFIRMATION'} code Why the credential couldn't be used.
+ * "NEED_CONFIRMATION" means the email of the provider belongs to another account, which must sign in to link it.
+ * @property {string} [email] The email of the account the credential belongs to.
+ * @property {Object} pendingCredential The credential of the provider, including its `pendingToken`.
+ */
+
+/**
+ * Describes an out-of-band code, returned by "checkActionCode".
+ * @typedef {Object} ActionCodeInfo
+ * @property {'PASSWORD_RESET'|'VERIFY_EMAIL'|'RECOVER_EMAIL'|'VERIFY_AND_CHANGE_EMAIL'|'EMAIL_SIGNIN'} operation What the code does.
+ * @property {string} email The email the code is about.
+ * @property {string} [previousEmail] The email that is being replaced, when the code changes or recovers an email.
+ */
+
+/**
+ * Describes what `handleActionLink` did, or what is still needed to finish the action.
+ * - "newPasswordRequired": A password reset link, finish it with `resetPassword(oobCode, newPassword)`.
+ * - "emailVerified", "emailRecovered" or "emailChanged": The code was applied.
+ * - "signIn": The user was signed in with an email link, the result has the fields of a `SignInResult`.
+ * - "emailRequired": An email sign-in link that was opened on another device, finish it with `signInWithEmailLink(link, email)`.
+ * - "oauth": The user was signed in with a federated provider, the result has the fields of a `SignInResult`.
+ * - "popup": The URL was passed to the page that opened the popup, which finishes the sign in.
+ * - "none": The URL isn't a link that can be handled.
+ * @typedef {Object} ActionLinkResult
+ * @property {'newPasswordRequired'|'emailVerified'|'emailRecovered'|'emailChanged'|'signIn'|'emailRequired'|'oauth'|'popup'|'none'} type
+ * @property {string} [email] The email the link is about.
+ * @property {string} [previousEmail] The email that was replaced, when an email was changed or recovered.
+ * @property {string} [oobCode] The code of a password reset link.
+ * @property {string} [link] The email sign-in link that requires an email.
+ * @property {string} [context] The context of a federated sign-in.
+ * @property {string} [continueUrl] Where to send the user after the action, if it was set when sending the email.
+ * @property {string} [lang] The language code of the email.
+ */
+
+/**
+ * The idToken of the signed-in user along with its decoded claims. All times are in milliseconds.
+ * @typedef {Object} IdTokenResult
+ * @property {string} token The idToken itself.
+ * @property {Object} claims All of the claims in the token, including custom claims.
+ * @property {number} expirationTime When the token expires, from the "exp" claim.
+ * @property {number} issuedAtTime When the token was issued, from the "iat" claim.
+ * @property {number} authTime When the user signed in, from the "auth_time" claim.
+ * @property {string|null} signInProvider The provider used to sign in, for example "password" or "google.com".
+ * @property {string|null} signInSecondFactor The kind of second factor used to sign in, for example "phone".
+ * @property {string|null} tenant The ID of the tenant the user belongs to.
+ */
+
+/**
+ * Options that can be passed to every method that makes requests.
+ * A token refresh is shared by all of the pending calls, so it isn't aborted by the signal of any single one of them.
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] Aborts the request, and any retries of it, when it's aborted.
+ * @property {number} [timeout] Milliseconds after which each attempt is aborted. Overrides the `timeout` of the instance.
+ */
+
 /**
  * Settings object for the "startOauthFlow" method.
  * @typedef {Object} oauthFlowOptions
- * @property {string} provider Name of the provider to use.
+ * @property {string} provider Name of the provider to use, like "google.com", or "oidc.*" and "saml.*" for generic providers.
+ * @property {string|Array.<string>} [oauthScope] Scopes to request from the provider, in addition to the basic profile.
+ * @property {Object.<string, string>} [customParameters] Custom OAuth parameters of the provider, like `prompt` or `login_hint`.
  * @property {string} [context] A string that will be returned after the OAuth flow is finished should be used to retain context.
  * @property {boolean} [linkAccount = false] Check whether to link this OAuth account with the current account. Defaults to false.
+ * @property {boolean} [reauthenticate = false] Only refresh the credentials of the current account, instead of signing in.
+ */
+
+/**
+ * The error thrown by all of the methods.
+ * Errors returned by the server keep their code, for example "EMAIL_NOT_FOUND", and the explanation as the message.
+ * @param {string} code A code that identifies the error.
+ * @param {Object} [details] More details about the error.
+ * @param {string} [details.message] A human readable explanation, defaults to the code.
+ * @param {number} [details.status] The HTTP status of the response, if there was one.
+ * @param {string} [details.endpoint] The name of the endpoint that failed, for example "signInWithPassword".
+ * @param {Array.<Object>} [details.errors] The original `errors` array returned by the server.
+ * @param {boolean} [details.retryable = false] Whether the request might succeed if it's made again later.
+ * @param {number} [details.retryAfter] How many milliseconds the server asked to wait before trying again.
  */
+export class AuthError extends Error {
+	constructor(code, { message = code, status, endpoint, errors = [], retryable = false, retryAfter } = {}) {
+		super(message);
+		Object.assign(this, { name: 'AuthError', code, status, endpoint, errors, retryable, retryAfter });
+	}
+}
 
-// Generates a localStorage adapter.
+// Generates a Web Storage adapter, for localStorage or sessionStorage.
 // It's a bit verbose, but takes less characters than writing it manually.
-const storageApi = {};
-['set', 'get', 'remove'].forEach(m => (storageApi[m] = async (k, v) => localStorage[m + 'Item'](k, v)));
+function webStorage(type) {
+	const adapter = {};
+	['set', 'get', 'remove'].forEach(m => (adapter[m] = async (k, v) => window[type][m + 'Item'](k, v)));
+	return adapter;
+}
+
+const storageApi = webStorage('localStorage');
+
+// Generates an adapter that keeps the data in memory, so it is lost when the page is closed.
+function memoryStorage() {
+	const items = {};
+
+	return {
+		set: async (k, v) => void (items[k] = v),
+		get: async k => (k in items ? items[k] : null),
+		remove: async k => void delete items[k]
+	};
+}
+
+// Generates an IndexedDB adapter.
+// The database is opened only when it's first used.
+function indexedDBStorage() {
+	let db;
+
+	const run = (mode, fn) => {
+		if (!db) {
+			db = new Promise((resolve, reject) => {
+				const request = indexedDB.open('firebase-auth-lite', 1);
+				request.onupgradeneeded = () => request.result.createObjectStore('keyval');
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+			// Opening can fail, for example in some private browsing modes, so it's tried again on the next call.
+			db.catch(() => (db = null));
+		}
+
+		return db.then(
+			db =>
+				new Promise((resolve, reject) => {
+					const request = fn(db.transaction('keyval', mode).objectStore('keyval'));
+					// Missing keys should be null, like in the other adapters.
+					request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+					request.onerror = () => reject(request.error);
+				})
+		);
+	};
+
+	return {
+		set: (k, v) => run('readwrite', store => store.put(v, k)),
+		get: k => run('readonly', store => store.get(k)),
+		remove: k => run('readwrite', store => store.delete(k))
+	};
+}
+
+/**
+ * Generates a storage adapter for React Native's AsyncStorage.
+ * @param {Object} AsyncStorage The AsyncStorage module.
+ * @returns {Object} An adapter that can be passed as the `storage` option.
+ */
+export function asyncStorageAdapter(AsyncStorage) {
+	return {
+		set: (k, v) => AsyncStorage.setItem(k, v),
+		get: k => AsyncStorage.getItem(k),
+		remove: k => AsyncStorage.removeItem(k)
+	};
+}
+
+// Decodes the payload of a JWT, without verifying it, that's the job of the server.
+function decodeToken(token) {
+	const payload = atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'));
+	// `atob` returns a binary string, so we need to decode the UTF-8 characters ourselves.
+	const escaped = payload.replace(/[\s\S]/g, c => '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2));
+	return JSON.parse(decodeURIComponent(escaped));
+}
+
+// The provider used to sign in, for example "password" or "google.com". Malformed tokens don't have one.
+function signInProvider(idToken) {
+	try {
+		return decodeToken(idToken).firebase.sign_in_provider;
+	} catch (e) {
+		return null;
+	}
+}
+
+// Describes a federated credential that couldn't be used because it belongs to a different account.
+function credentialConflict({ errorMessage, email, ...data }) {
+	const { providerId, pendingToken, oauthIdToken: idToken, oauthAccessToken: accessToken, oauthTokenSecret } = data;
+	const pendingCredential = { providerId, pendingToken, idToken, accessToken, oauthTokenSecret };
+	return { type: 'credentialConflict', code: errorMessage || 'NEED_CONFIRMATION', email, pendingCredential };
+}
+
+// Describes a sign-in from the response of the request that made it.
+function signInResult(data, user) {
+	const { oauthAccessToken, oauthIdToken, oauthTokenSecret, rawUserInfo, isNewUser = false, context } = data;
+	const providerId = data.providerId || signInProvider(data.idToken);
+
+	// Only federated sign-ins have a credential of the provider, which can be used to call its APIs.
+	const credential =
+		oauthAccessToken || oauthIdToken
+			? { providerId, accessToken: oauthAccessToken, idToken: oauthIdToken, oauthTokenSecret }
+			: null;
+	const additionalUserInfo = {
+		providerId,
+		profile: rawUserInfo ? JSON.parse(rawUserInfo) : null,
+		username: data.screenName || null,
+		isNewUser
+	};
+
+	return {
+		type: 'signIn',
+		user,
+		credential,
+		additionalUserInfo,
+		isNewUser,
+		context
+	};
+}
+
+// The form encoded body of a federated credential, as the "postBody" of "signInWithIdp" expects it.
+function credentialBody({ providerId, idToken, accessToken, oauthTokenSecret, nonce }) {
+	const fields = {
+		providerId,
+		id_token: idToken,
+		access_token: accessToken,
+		oauth_token_secret: oauthTokenSecret,
+		nonce
+	};
+	return Object.keys(fields)
+		.filter(key => fields[key])
+		.map(key => `${key}=${encodeURIComponent(fields[key])}`)
+		.join('&');
+}
+
+// The search params of a link, parsed by hand so relative links work as well.
+const linkParams = link => new URLSearchParams(link.split('#')[0].split('?')[1]);
+
+// The state of an OAuth flow, or the relay state of a SAML flow, that is passed along by the provider.
+const callbackState = params => params.get('state') || params.get('RelayState');
+
+// OAuth providers send back an authorization code, SAML providers send back a response.
+const isProviderCallback = params => params.has('code') || params.has('SAMLResponse');
+
+// OIDC providers and Apple return an ID token, which has to include the nonce of the flow.
+const usesNonce = provider => provider === 'apple.com' || provider.startsWith('oidc.');
+
+// Hex encodes bytes, like random values or digests.
+const toHex = bytes => Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// The provider gets the SHA-256 hash of the nonce, and Firebase gets the raw nonce to compare it with.
+async function createNonce() {
+	const raw = toHex(crypto.getRandomValues(new Uint8Array(32)));
+	const hashed = toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(raw)));
+	return { raw, hashed };
+}
+
+// The scopes of OAuth providers, SAML providers don't have any.
+const providerScope = (provider, scope) =>
+	provider.startsWith('saml.') ? undefined : Array.isArray(scope) ? scope.join(' ') : scope;
+
+// Endpoints that can be called again without side effects, so they are safe to retry.
+const idempotentEndpoints = ['token', 'lookup', 'createAuthUri', 'signInWithPassword', 'signInWithCustomToken'];
+
+// The storage keys of the data kept for a federated sign-in flow, while the user is at the provider.
+const flowKeys = ['OAuthFlow', 'SessionId', 'LinkAccount', 'Reauthenticate', 'Nonce'];
+
+// All of the storage keys of an instance.
+const storageKeys = ['User', 'EmailForSignIn', 'LastActive', 'SignOutReason', ...flowKeys];
+
+// Errors that mean the credentials of the user are no longer valid, because they were revoked or the account is gone.
+const revocationCodes = [
+	'USER_DISABLED',
+	'USER_NOT_FOUND',
+	'INVALID_REFRESH_TOKEN',
+	'TOKEN_EXPIRED',
+	'INVALID_ID_TOKEN'
+];
+
+// Makes a single request to an endpoint, and parses the response.
+// It's aborted when the signal of the caller is aborted, or when it takes longer than the timeout.
+async function send(url, endpoint, body, signal, timeout) {
+	const controller = new AbortController();
+	const abort = () => controller.abort();
+	const timer = timeout && setTimeout(abort, timeout);
+	signal && (signal.aborted ? abort() : signal.addEventListener('abort', abort));
+
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+			signal: controller.signal
+		});
+
+		// Proxies and gateways might respond with something other than JSON.
+		const data = await response.json().catch(() => ({}));
+
+		// If the response returned an error, try to get a Firebase error code/message.
+		// Sometimes the error codes are joined with an explanation, we keep that as the message only.
+		if (!response.ok) {
+			const { message = 'INTERNAL_ERROR', errors } = data.error || {};
+			const code = message.replace(/ ?: [\w ,.'"()]+$/, '');
+			const retryAfter = response.headers.get('retry-after') * 1000 || undefined;
+
+			throw new AuthError(code, {
+				message,
+				status: response.status,
+				endpoint,
+				errors,
+				// Rate limits can last for minutes, so they are only retried when the server tells us when to.
+				retryable: response.status >= 500 || (code === 'TOO_MANY_ATTEMPTS_TRY_LATER' && !!retryAfter),
+				retryAfter
+			});
+		}
+
+		// Add a hidden date property to the returned object.
+		// Used mostly to calculate the expiration date for tokens.
+		// Local backends like the emulator don't always send a "date" header, so fallback to the local time.
+		const date = Date.parse(response.headers.get('date')) || Date.now();
+		Object.defineProperty(data, 'expiresAt', { value: date + 3600 * 1000 });
+		return data;
+	} catch (e) {
+		if (e instanceof AuthError) throw e;
+
+		// Fetch only rejects when the request couldn't be made at all, or was aborted.
+		if (signal && signal.aborted)
+			throw new AuthError('REQUEST_ABORTED', { message: 'The request was aborted.', endpoint });
+		if (controller.signal.aborted)
+			throw new AuthError('REQUEST_TIMEOUT', {
+				message: `The request took longer than ${timeout}ms.`,
+				endpoint,
+				retryable: true
+			});
+		throw new AuthError('NETWORK_REQUEST_FAILED', { message: e.message, endpoint, retryable: true });
+	} finally {
+		clearTimeout(timer);
+		signal && signal.removeEventListener('abort', abort);
+	}
+}
+
+// Resolves after a delay, or rejects as soon as the signal is aborted.
+function wait(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const abort = () => {
+			clearTimeout(timer);
+			reject(new AuthError('REQUEST_ABORTED', { message: 'The request was aborted.' }));
+		};
+		const timer = setTimeout(() => {
+			signal && signal.removeEventListener('abort', abort);
+			resolve();
+		}, ms);
+
+		signal && (signal.aborted ? abort() : signal.addEventListener('abort', abort));
+	});
+}
+
+// Waits for a sign-in popup to pass back the URL it was redirected to, rejects if it's closed or takes too long.
+function waitForPopup(popup, timeout, signal) {
+	return new Promise((resolve, reject) => {
+		const done = (fn, value) => {
+			window.removeEventListener('message', onMessage);
+			signal && signal.removeEventListener('abort', onAbort);
+			clearInterval(interval);
+			clearTimeout(timer);
+			fn(value);
+		};
+
+		const onMessage = e => {
+			// Make sure the message was sent by the popup, from a page of our own origin.
+			if (e.source !== popup || e.origin !== location.origin || !e.data || e.data.type !== 'signInRedirect') return;
+			done(resolve, e.data);
+		};
+
+		// There is no event for closed windows, so we have to poll.
+		const interval = setInterval(() => {
+			popup.closed &&
+				done(reject, new AuthError('POPUP_CLOSED_BY_USER', { message: 'The popup was closed before finishing.' }));
+		}, 500);
+
+		const timer = setTimeout(() => {
+			done(reject, new AuthError('POPUP_TIMEOUT', { message: 'The sign-in in the popup took too long.' }));
+		}, timeout);
+
+		const onAbort = () => done(reject, new AuthError('REQUEST_ABORTED', { message: 'The sign-in was aborted.' }));
+		signal && (signal.aborted ? onAbort() : signal.addEventListener('abort', onAbort));
+
+		window.addEventListener('message', onMessage);
+	});
+}
+
+// Background work should wait while the page is hidden or the device is offline.
+const isPaused = () =>
+	(typeof document !== 'undefined' && document.visibilityState === 'hidden') ||
+	(typeof navigator !== 'undefined' && navigator.onLine === false);
+
+// The built-in persistence modes that can be selected by name.
+const persistence = {
+	local: () => storageApi,
+	session: () => webStorage('sessionStorage'),
+	none: memoryStorage,
+	indexedDB: indexedDBStorage
+};
+
+// Returns the adapter for a persistence mode, custom adapters are returned as is.
+function getStorage(storage) {
+	if (typeof storage !== 'string') return storage;
+	if (!persistence[storage])
+		throw new AuthError('INVALID_PERSISTENCE', { message: `Unknown persistence "${storage}"` });
+	return persistence[storage]();
+}
 
 /**
  * Encapsulates authentication flow logic.
@@ -38,17 +477,56 @@ const storageApi = {};
  * @param {string} options.apiKey The Firebase API key.
  * @param {string} options.redirectUri The redirect URL used by OAuth providers.
  * @param {Array.<ProviderOptions|string>} options.providers Array of arguments that will be passed to the addProvider method.
+ * @param {'local'|'session'|'none'|'indexedDB'|Object} [options.storage = 'local'] Where to persist the session, or a custom storage adapter.
+ * @param {boolean} [options.autoRefresh = false] Refresh the idToken in the background shortly before it expires.
+ * @param {string} [options.emulator] URL of a Firebase Auth Emulator to use instead of the real endpoints, for example "http://localhost:9099".
+ * @param {number} [options.timeout] Milliseconds after which requests are aborted. No timeout by default.
+ * @param {number} [options.retries = 2] How many times to retry requests that failed temporarily.
+ * @param {number} [options.retryDelay = 500] Milliseconds to wait before the first retry, doubled on every attempt.
+ * @param {number} [options.flowMaxAge = 600000] Milliseconds a federated sign-in can take, before its callback is rejected.
+ * @param {number} [options.maxSessionAge] Milliseconds after signing in when the user is signed out. No limit by default.
+ * @param {number} [options.idleTimeout] Milliseconds without activity after which the user is signed out. No limit by default.
+ * @param {Array.<string>} [options.activityEvents = []] DOM events that count as activity, like "mousedown" or "keydown".
+ * @param {number} [options.revocationCheckInterval] Milliseconds between checks that the account wasn't disabled or its tokens revoked.
  */
 export default class Auth {
-	constructor({ apiKey, redirectUri, name = 'default', storage = storageApi } = {}) {
-		if (!apiKey) throw Error('The argument "apiKey" is required');
+	constructor({
+		apiKey,
+		redirectUri,
+		name = 'default',
+		storage = storageApi,
+		emulator,
+		autoRefresh = false,
+		timeout,
+		retries = 2,
+		retryDelay = 500,
+		flowMaxAge = 10 * 60 * 1000,
+		maxSessionAge,
+		idleTimeout,
+		activityEvents = [],
+		revocationCheckInterval
+	} = {}) {
+		if (!apiKey) throw new AuthError('MISSING_API_KEY', { message: 'The argument "apiKey" is required' });
 
 		Object.assign(this, {
 			apiKey,
 			redirectUri,
 			name,
-			storage,
-			listeners: []
+			storage: getStorage(storage),
+			// Remove trailing slashes, the paths are appended to it later.
+			emulator: emulator && emulator.replace(/\/+$/, ''),
+			autoRefresh,
+			timeout,
+			retries,
+			retryDelay,
+			flowMaxAge,
+			maxSessionAge,
+			idleTimeout,
+			revocationCheckInterval,
+			listeners: [],
+			events: {},
+			// The pending credential of a reauthentication that is waiting for a second factor.
+			pendingReauthentication: null
 		});
 
 		this.storage.get(this.sKey('User')).then(user => {
@@ -56,21 +534,45 @@ export default class Auth {
 			if (this.user)
 				this.refreshIdToken()
 					.then(() => this.fetchProfile())
-					.catch(e => {
-						if (e.message === 'TOKEN_EXPIRED' || e.message === 'INVALID_ID_TOKEN') return this.signOut();
-						throw e;
+					.catch(error => {
+						// Sessions that expired while the app was closed are already signed out.
+						if (error.code === 'SESSION_EXPIRED' || error.code === 'IDLE_TIMEOUT') return;
+						if (revocationCodes.includes(error.code)) return this.revoke(error.code);
+						this.emit('error', { error, reason: 'INITIALIZATION' });
 					});
 		});
 
 		// Because this library is also used in React Native, outside the browser as well,
 		// we need to check if this environment supports `addEventListener` on the window.
-		'addEventListener' in window &&
-			window.addEventListener('storage', e => {
-				// This code will run if the local storage for this user
-				// was updated from a different browser window.
-				if (e.key !== this.sKey('User')) return;
-				this.setState(JSON.parse(e.newValue), false);
+		if (!('addEventListener' in window)) return;
+
+		window.addEventListener('storage', e => {
+			// This code will run if the local storage for this user
+			// was updated from a different browser window.
+			if (e.key !== this.sKey('User')) return;
+
+			const previous = this.user;
+			const user = JSON.parse(e.newValue);
+			const reason = !user ? 'SIGN_OUT' : e.oldValue ? 'USER_UPDATE' : 'SIGN_IN';
+			this.setState(user, false).then(async () => {
+				this.emit('externalChange', { user, reason });
+
+				// When the session expired, every tab reports it, since they are all signed out together.
+				if (user || !previous || !(this.maxSessionAge || this.idleTimeout)) return;
+				const signOutReason = await this.storage.get(this.sKey('SignOutReason'));
+				if (signOutReason === 'SESSION_EXPIRED' || signOutReason === 'IDLE_TIMEOUT')
+					this.emit('signOut', { user: previous, reason: signOutReason });
 			});
+		});
+
+		// Interactions with the page keep the session from timing out.
+		activityEvents.forEach(name => window.addEventListener(name, () => this.markActive(), { passive: true }));
+
+		// Catch up on refreshes that were paused while the page was hidden or offline.
+		if (autoRefresh) {
+			window.addEventListener('online', () => this.scheduleRefresh());
+			document.addEventListener('visibilitychange', () => this.scheduleRefresh());
+		}
 	}
 
 	/**
@@ -80,7 +582,9 @@ export default class Auth {
 	 * @param {any} data Data you want to pass to the event listeners.
 	 * @private
 	 */
-	emit() {
+	emit(name, data) {
+		// Named events are only sent to their own listeners.
+		if (name) return (this.events[name] || []).forEach(cb => cb(data));
 		this.listeners.forEach(cb => cb(this.user));
 	}
 
@@ -96,6 +600,20 @@ export default class Auth {
 		return () => (this.listeners = this.listeners.filter(fn => fn !== cb));
 	}
 
+	/**
+	 * Sets up a function that will be called whenever a specific event is triggered.
+	 * All events are triggered with `{ user, reason }`, except for "error" which is triggered with `{ error, reason }`.
+	 * @param {'signIn'|'signOut'|'tokenRefresh'|'profileUpdate'|'externalChange'|'revoked'|'error'} name Name of the event.
+	 * @param {function} callback Function to call when the event is triggered.
+	 * @returns {function} The function that unsubscribes your callback after being called.
+	 */
+	on(name, cb) {
+		this.events[name] = (this.events[name] || []).concat(cb);
+
+		// Return a function to unbind the callback.
+		return () => (this.events[name] = this.events[name].filter(fn => fn !== cb));
+	}
+
 	/**
 	 * Generates a unique storage key for this app.
 	 * @private
@@ -107,34 +625,46 @@ export default class Auth {
 	/**
 	 * @param {string} endpoint Name of the endpoint.
 	 * Makes post request to a specific endpoint and return the response.
+	 * Failures that might succeed later are retried with an exponential backoff, but only when it's safe.
 	 * @param {any} request Body to pass to the request.
+	 * @param {RequestOptions} [requestOptions]
 	 * @private
 	 */
-	api(endpoint, body) {
+	async api(endpoint, body, { signal, timeout = this.timeout } = {}) {
+		// The emulator serves all of the APIs from a single host, and expects the original host to be the first part of the path.
+		const base = this.emulator ? this.emulator + '/' : 'https://';
+
+		// Endpoints of the v2 API are namespaced by their resource, for example "mfaSignIn:start".
 		const url =
 			endpoint === 'token'
-				? `https://securetoken.googleapis.com/v1/token?key=${this.apiKey}`
-				: `https://identitytoolkit.googleapis.com/v1/accounts:${endpoint}?key=${this.apiKey}`;
+				? `${base}securetoken.googleapis.com/v1/token?key=${this.apiKey}`
+				: endpoint.includes(':')
+				? `${base}identitytoolkit.googleapis.com/v2/accounts/${endpoint}?key=${this.apiKey}`
+				: `${base}identitytoolkit.googleapis.com/v1/accounts:${endpoint}?key=${this.apiKey}`;
 
-		return fetch(url, {
-			method: 'POST',
-			body: typeof body === 'string' ? body : JSON.stringify(body)
-		}).then(async response => {
-			let data = await response.json();
-
-			// If the response returned an error, try to get a Firebase error code/message.
-			// Sometimes the error codes are joined with an explanation, we don't need that.
-			// So we remove the unnecessary part.
-			if (!response.ok) {
-				const code = data.error.message.replace(/: [\w ,.'"()]+$/, '');
-				throw Error(code);
-			}
+		// Requests made with the credentials of the signed-in user tell us when they were revoked.
+		const user = this.user;
+		const credentials = user ? user.tokenManager : {};
+		const usesCredentials =
+			(body.idToken && body.idToken === credentials.idToken) ||
+			(body.refresh_token && body.refresh_token === credentials.refreshToken);
 
-			// Add a hidden date property to the returned object.
-			// Used mostly to calculate the expiration date for tokens.
-			Object.defineProperty(data, 'expiresAt', { value: Date.parse(response.headers.get('date')) + 3600 * 1000 });
-			return data;
-		});
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await send(url, endpoint, body, signal, timeout);
+			} catch (e) {
+				// Sign the user out, unless a different user signed in while the request was pending.
+				if (usesCredentials && this.user === user && revocationCodes.includes(e.code)) await this.revoke(e.code);
+
+				// Requests with side effects, like sending an email, might have been processed even though they failed.
+				// So only idempotent endpoints are retried, unless the request was rejected because of the rate limit.
+				const safe = idempotentEndpoints.includes(endpoint) || e.code === 'TOO_MANY_ATTEMPTS_TRY_LATER';
+				if (!e.retryable || !safe || attempt >= this.retries) throw e;
+
+				// Wait as long as the server asked us to, or double the time on every attempt, but never more than 30s.
+				await wait(Math.min(e.retryAfter || this.retryDelay * 2 ** attempt, 30 * 1000), signal);
+			}
+		}
 	}
 
 	/**
@@ -142,9 +672,10 @@ export default class Auth {
 	 * @throws Will throw if the user is not signed-in.
 	 * @private
 	 */
-	async enforceAuth() {
-		if (!this.user) throw Error('The user must be signed-in to use this method.');
-		return this.refreshIdToken(); // Won't do anything if the token is valid.
+	async enforceAuth(forceRefresh) {
+		if (!this.user)
+			throw new AuthError('USER_NOT_SIGNED_IN', { message: 'The user must be signed-in to use this method.' });
+		return this.refreshIdToken(forceRefresh); // Won't do anything if the token is valid, unless forced.
 	}
 
 	/**
@@ -156,24 +687,69 @@ export default class Auth {
 	async setState(userData, persist = true, emit = true) {
 		this.user = userData;
 		persist && (await this.storage[userData ? 'set' : 'remove'](this.sKey('User'), JSON.stringify(userData)));
+		this.scheduleRefresh();
+		this.scheduleSessionCheck();
+		this.scheduleRevocationCheck();
 		emit && this.emit();
 	}
 
 	/**
 	 * Sign out the currently signed-in user.
 	 * Removes all data stored in the storage that's associated with the user.
+	 * @param {string} [reason = 'USER_SIGN_OUT'] Why the user was signed out, passed along to the "signOut" event.
+	 */
+	async signOut(reason = 'USER_SIGN_OUT') {
+		const user = this.user;
+		// Other tabs read why the user was signed out, to tell whether the session expired.
+		(this.maxSessionAge || this.idleTimeout) && (await this.storage.set(this.sKey('SignOutReason'), reason));
+		await this.setState(null);
+		this.idleTimeout && (await this.storage.remove(this.sKey('LastActive')));
+		user && this.emit('signOut', { user, reason });
+	}
+
+	/**
+	 * Signs out a user whose account was disabled or deleted, or whose tokens were revoked.
+	 * Triggers the "revoked" event, so the app can tell the user why they were signed out.
+	 * @param {string} code The error code that revealed it.
+	 * @private
+	 */
+	async revoke(code) {
+		const user = this.user;
+		if (!user) return;
+
+		await this.signOut(code);
+		this.emit('revoked', { user, reason: code });
+	}
+
+	/**
+	 * Changes where the session is persisted.
+	 * The current user is moved to the new storage, so they stay signed-in.
+	 * So is the data of unfinished sign-in flows, so they can still be finished.
+	 * @param {'local'|'session'|'none'|'indexedDB'|Object} storage A persistence mode or a custom storage adapter.
 	 */
-	signOut() {
-		return this.setState(null);
+	async setPersistence(storage) {
+		storage = getStorage(storage);
+
+		// Move the stored data rather than `this.user`, which might not be loaded yet.
+		const values = await Promise.all(storageKeys.map(key => this.storage.get(this.sKey(key))));
+		await Promise.all(storageKeys.map(key => this.storage.remove(this.sKey(key))));
+
+		this.storage = storage;
+		await Promise.all(storageKeys.map((key, i) => values[i] && storage.set(this.sKey(key), values[i])));
 	}
 
 	/**
 	 * Refreshes the idToken by using the locally stored refresh token only if the idToken has expired.
+	 * @param {boolean} [force = false] Refresh the idToken even if it didn't expire yet.
 	 * @private
 	 */
-	async refreshIdToken() {
+	async refreshIdToken(force) {
+		// Expired sessions aren't renewed, the user has to sign in again.
+		const expired = (this.maxSessionAge || this.idleTimeout) && (await this.checkSession());
+		if (expired) throw new AuthError(expired, { message: 'The session expired, the user has to sign in again.' });
+
 		// If the idToken didn't expire, return.
-		if (Date.now() < this.user.tokenManager.expiresAt) return;
+		if (!force && Date.now() < this.user.tokenManager.expiresAt) return;
 
 		// If the request for a new token was already made, then wait for it and return.
 		if (this._ref) return void (await this._ref);
@@ -194,11 +770,167 @@ export default class Auth {
 				return this.setState({ ...this.user, tokenManager }, true, false);
 			});
 			await this._ref;
+			this.emit('tokenRefresh', { user: this.user, reason: force ? 'FORCE_REFRESH' : 'TOKEN_EXPIRED' });
 		} finally {
 			this._ref = null;
 		}
 	}
 
+	/**
+	 * Returns the idToken of the signed-in user, it will be refreshed first if it has expired.
+	 * @param {boolean} [forceRefresh = false] Refresh the idToken even if it didn't expire yet.
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {string}
+	 */
+	async getToken(forceRefresh) {
+		await this.enforceAuth(forceRefresh);
+		return this.user.tokenManager.idToken;
+	}
+
+	/**
+	 * Returns the idToken of the signed-in user along with its decoded claims.
+	 * Useful to read custom claims set with the Admin SDK.
+	 * @param {boolean} [forceRefresh = false] Refresh the idToken even if it didn't expire yet.
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {IdTokenResult}
+	 */
+	async getIdTokenResult(forceRefresh) {
+		const token = await this.getToken(forceRefresh);
+		const claims = decodeToken(token);
+		const firebase = claims.firebase || {};
+
+		return {
+			token,
+			claims,
+			expirationTime: claims.exp * 1000,
+			issuedAtTime: claims.iat * 1000,
+			authTime: claims.auth_time * 1000,
+			signInProvider: firebase.sign_in_provider || null,
+			signInSecondFactor: firebase.sign_in_second_factor || null,
+			tenant: firebase.tenant || null
+		};
+	}
+
+	/**
+	 * Schedules a refresh of the idToken shortly before it expires, when the `autoRefresh` option is enabled.
+	 * It is paused while the page is hidden or offline, and resumed by the "visibilitychange" and "online" events.
+	 * @private
+	 */
+	scheduleRefresh() {
+		clearTimeout(this._timer);
+		if (!this.autoRefresh || !this.user || isPaused()) return;
+
+		// Refresh 5 minutes before the expiration, or right away if it's already too late.
+		// On failure, try again in a minute.
+		this._timer = setTimeout(() => {
+			this.refreshIdToken(true).catch(error => {
+				this.emit('error', { error, reason: 'BACKGROUND_REFRESH' });
+				this._timer = setTimeout(() => this.scheduleRefresh(), 60 * 1000);
+			});
+		}, this.user.tokenManager.expiresAt - Date.now() - 5 * 60 * 1000);
+	}
+
+	/**
+	 * Signs the user out when the session is older than `maxSessionAge`, or was idle for longer than `idleTimeout`.
+	 * Otherwise the next check is scheduled for when the first of them is due.
+	 * @returns {'SESSION_EXPIRED'|'IDLE_TIMEOUT'|undefined} Why the session expired, if it did.
+	 * @private
+	 */
+	checkSession() {
+		// Checks that run at the same time share the result, so an expired session is only signed out once.
+		if (!this.user) return this.runSessionCheck();
+		if (!this._sessionCheck) this._sessionCheck = this.runSessionCheck().finally(() => (this._sessionCheck = null));
+		return this._sessionCheck;
+	}
+
+	/**
+	 * Does the actual work of `checkSession`.
+	 * @private
+	 */
+	async runSessionCheck() {
+		clearTimeout(this._sessionTimer);
+		if (!this.user || !(this.maxSessionAge || this.idleTimeout)) return;
+
+		// Tabs share the time of the last activity through the storage, so they all expire together.
+		const storedLastActive = Number(await this.storage.get(this.sKey('LastActive')));
+		if (!this.user) return;
+
+		const now = Date.now();
+		const signedInAt = this.user.signedInAt || now;
+		const sessionEnd = this.maxSessionAge ? signedInAt + this.maxSessionAge : Infinity;
+		// Sessions without any recorded activity were last active when they signed in.
+		const lastActive = storedLastActive || signedInAt;
+		const idleEnd = this.idleTimeout ? lastActive + this.idleTimeout : Infinity;
+
+		const reason = now >= sessionEnd ? 'SESSION_EXPIRED' : now >= idleEnd ? 'IDLE_TIMEOUT' : undefined;
+		if (reason) {
+			await this.signOut(reason);
+			return reason;
+		}
+
+		// Timers can't wait longer than about 24 days, so long sessions are checked at least once a day.
+		clearTimeout(this._sessionTimer);
+		this._sessionTimer = setTimeout(
+			() => this.scheduleSessionCheck(),
+			Math.min(sessionEnd, idleEnd, now + 24 * 60 * 60 * 1000) - now
+		);
+	}
+
+	/**
+	 * Checks the session in the background, see `checkSession`.
+	 * @private
+	 */
+	scheduleSessionCheck() {
+		this.checkSession().catch(error => this.emit('error', { error, reason: 'SESSION_CHECK' }));
+	}
+
+	/**
+	 * Looks up the account every `revocationCheckInterval`, when the option is set.
+	 * Disabled accounts and revoked tokens are handled by `api`, which signs the user out.
+	 * Checks are skipped while the page is hidden or offline.
+	 * @private
+	 */
+	scheduleRevocationCheck() {
+		clearTimeout(this._revocationTimer);
+		if (!this.revocationCheckInterval || !this.user) return;
+
+		this._revocationTimer = setTimeout(async () => {
+			try {
+				if (!isPaused()) {
+					await this.enforceAuth();
+					await this.api('lookup', { idToken: this.user.tokenManager.idToken });
+				}
+			} catch (error) {
+				// Revocations already signed the user out, there is nothing else to report.
+				this.user && this.emit('error', { error, reason: 'REVOCATION_CHECK' });
+			}
+			this.scheduleRevocationCheck();
+		}, this.revocationCheckInterval);
+	}
+
+	/**
+	 * Records that the user is active, so the session doesn't time out.
+	 * Writes are throttled, because it runs on every authorized request and activity event.
+	 * @private
+	 */
+	async markActive() {
+		if (!this.idleTimeout || !this.user || Date.now() - this._lastActive < 10 * 1000) return;
+
+		// Activity can't revive a session that already timed out.
+		if (await this.checkSession()) return;
+		await this.setLastActive(Date.now());
+	}
+
+	/**
+	 * Saves the time of the last activity, where other tabs can read it.
+	 * @param {number} time
+	 * @private
+	 */
+	async setLastActive(time) {
+		this._lastActive = time;
+		this.idleTimeout && (await this.storage.set(this.sKey('LastActive'), String(time)));
+	}
+
 	/**
 	 * Uses native fetch but adds authorization headers, otherwise the API is exactly the same as native fetch.
 	 * @param {Request|Object|string} resource A request to send. It can be a resource or an options object.
@@ -209,6 +941,7 @@ export default class Auth {
 
 		if (this.user) {
 			await this.refreshIdToken(); // Won't do anything if the token didn't expire yet.
+			await this.markActive();
 			request.headers.set('Authorization', `Bearer ${this.user.tokenManager.idToken}`);
 		}
 
@@ -218,112 +951,412 @@ export default class Auth {
 	/**
 	 * Signs in or signs up a user by exchanging a custom authentication token.
 	 * @param {string} token The custom token.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
 	 */
-	async signInWithCustomToken(token) {
+	async signInWithCustomToken(token, requestOptions) {
 		// Try to exchange the Auth Code for an idToken and refreshToken.
 		// And then get the user profile.
-		return await this.fetchProfile(
-			await this.api('signInWithCustomToken', {
-				token,
-				returnSecureToken: true
-			})
-		);
+		const data = await this.api('signInWithCustomToken', { token, returnSecureToken: true }, requestOptions);
+		return await this.finishSignIn(data, requestOptions);
 	}
 
 	/**
-	 * Starts the auth flow of a federated ID provider.
-	 * Also, it will redirect the page to the federated sign-in page.
+	 * Gets the URL of the federated sign-in page of a provider, and saves the data needed to finish the flow.
 	 * @param {oauthFlowOptions|string} options An options object or a string with the name of the provider.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {string} The URL of the federated sign-in page.
+	 * @private
 	 */
-	async signInWithProvider(options) {
+	async createAuthUri(options, requestOptions) {
 		if (!this.redirectUri)
-			throw Error(
-				'In order to use an Identity provider, you should initiate the "Auth" instance with a "redirectUri".'
-			);
+			throw new AuthError('MISSING_REDIRECT_URI', {
+				message: 'In order to use an Identity provider, you should initiate the "Auth" instance with a "redirectUri".'
+			});
 
 		// The options can be a string, or an object, so here we make sure we extract the right data in each case.
-		const { provider, oauthScope, context, linkAccount } =
-			typeof options === 'string' ? { provider: options } : options;
+		const { provider, oauthScope, customParameters, context, linkAccount, reauthenticate } =
+			typeof options === 'string' ? { provider: options } : options || {};
+		if (!provider || typeof provider !== 'string')
+			throw new AuthError('MISSING_PROVIDER', {
+				message: 'The ID of the provider is required, for example "google.com", "oidc.example" or "saml.example".'
+			});
 
-		linkAccount && (await this.enforceAuth());
-		// Makes sure the user is signed-in when an "account link" was requested.
+		// Makes sure the user is signed-in when an "account link" or a reauthentication was requested.
+		(linkAccount || reauthenticate) && (await this.enforceAuth());
+		// Forget about flows that were never finished.
+		await this.clearFlow();
+		const nonce = usesNonce(provider) && (await createNonce());
 
 		// Get the url and other data necessary for the authentication.
-		const { authUri, sessionId } = await this.api('createAuthUri', {
-			continueUri: this.redirectUri,
-			authFlowType: 'CODE_FLOW',
-			providerId: provider,
-			oauthScope,
-			context
-		});
+		const { authUri, sessionId } = await this.api(
+			'createAuthUri',
+			{
+				continueUri: this.redirectUri,
+				authFlowType: 'CODE_FLOW',
+				providerId: provider,
+				oauthScope: providerScope(provider, oauthScope),
+				customParameter: nonce ? { ...customParameters, nonce: nonce.hashed } : customParameters,
+				context
+			},
+			requestOptions
+		);
 
 		// Save the sessionId that we just received in the local storage.
 		// Is required to finish the auth flow, I believe this is used to mitigate CSRF attacks.
 		// (No docs on this...)
 		await this.storage.set(this.sKey('SessionId'), sessionId);
+		// The provider sends the state back to the redirect URI, so we can tell the callback belongs to this flow.
+		const flow = { state: callbackState(linkParams(authUri)), createdAt: Date.now() };
+		await this.storage.set(this.sKey('OAuthFlow'), JSON.stringify(flow));
 		// Save if this is a fresh signed-in or a "link account" request.
 		linkAccount && (await this.storage.set(this.sKey('LinkAccount'), true));
+		reauthenticate && (await this.storage.set(this.sKey('Reauthenticate'), true));
+		// The raw nonce is only sent when the flow is finished.
+		nonce && (await this.storage.set(this.sKey('Nonce'), nonce.raw));
+
+		return authUri;
+	}
+
+	/**
+	 * Starts the auth flow of a federated ID provider.
+	 * Also, it will redirect the page to the federated sign-in page.
+	 * @param {oauthFlowOptions|string} options An options object or a string with the name of the provider.
+	 * @param {RequestOptions} [requestOptions]
+	 */
+	async signInWithProvider(options, requestOptions) {
+		// Redirect the page to the auth endpoint.
+		location.assign(await this.createAuthUri(options, requestOptions));
+	}
 
-		// Finally - redirect the page to the auth endpoint.
-		location.assign(authUri);
+	/**
+	 * Signs in with a federated ID provider in a popup, so the current page keeps its state.
+	 * The `redirectUri` page must call `handleSignInRedirect`, which will pass the result back to this page.
+	 * @param {oauthFlowOptions|string} options An options object or a string with the name of the provider.
+	 * @param {number} [options.timeout = 300000] How many milliseconds to wait for the user to finish signing in.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult|CredentialConflictResult}
+	 */
+	async signInWithPopup(options, requestOptions) {
+		// The popup must be opened before anything is awaited, else browsers will consider it unsolicited and block it.
+		const popup = window.open('', this.sKey('Popup'), 'width=500,height=600');
+		if (!popup) throw new AuthError('POPUP_BLOCKED', { message: 'The popup was blocked by the browser.' });
+
+		const { timeout = 5 * 60 * 1000 } = typeof options === 'string' ? {} : options || {};
+
+		try {
+			popup.location.href = await this.createAuthUri(options, requestOptions);
+			const { url, postBody } = await waitForPopup(popup, timeout, requestOptions && requestOptions.signal);
+			return await this.finishProviderSignIn(url, requestOptions, postBody);
+		} finally {
+			popup.close();
+		}
 	}
 
 	/**
 	 * Signs in or signs up a user using credentials from an Identity Provider (IdP) after a redirect.
-	 * It will fail silently if the URL doesn't have a "code" search param.
 	 * @param {string} [requestUri] The request URI with the authorization code, state, etc. from the IdP.
+	 * @param {RequestOptions} [requestOptions]
+	 * @param {string} [postBody] The form encoded body of providers that POST the callback, like SAML providers.
+	 * @private
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async finishProviderSignIn(requestUri = location.href, requestOptions, postBody) {
+		try {
+			// Only callbacks of flows that were started by this app, and weren't finished yet, are accepted.
+			const flow = JSON.parse(await this.storage.get(this.sKey('OAuthFlow')));
+			if (!flow)
+				throw new AuthError('OAUTH_FLOW_NOT_FOUND', {
+					message: 'No sign-in flow was started, or it was already finished.'
+				});
+			if (Date.now() - flow.createdAt > this.flowMaxAge)
+				throw new AuthError('OAUTH_FLOW_EXPIRED', { message: 'The sign-in flow took too long, please try again.' });
+			const params = postBody ? new URLSearchParams(postBody) : linkParams(requestUri);
+			// Every callback is checked before it's exchanged, since the exchange already signs in or links the account.
+			if (!flow.state || callbackState(params) !== flow.state)
+				throw new AuthError('INVALID_OAUTH_STATE', { message: "The callback doesn't belong to the sign-in flow." });
+
+			return await this.exchangeProviderCallback(requestUri, requestOptions, postBody);
+		} finally {
+			await this.clearFlow();
+		}
+	}
+
+	/**
+	 * Removes all of the data that was stored for a federated sign-in flow.
 	 * @private
 	 */
-	async finishProviderSignIn(requestUri = location.href) {
+	async clearFlow() {
+		await Promise.all(flowKeys.map(key => this.storage.remove(this.sKey(key))));
+	}
+
+	/**
+	 * Exchanges the callback of a federated sign-in flow for the credentials of the user.
+	 * @param {string} requestUri The request URI with the authorization code, state, etc. from the IdP.
+	 * @param {RequestOptions} [requestOptions]
+	 * @param {string} [postBody] The form encoded body of the callback, when the provider POSTed it.
+	 * @private
+	 */
+	async exchangeProviderCallback(requestUri, requestOptions, postBody) {
 		// Get the sessionId we received before the redirect from storage.
 		const sessionId = await this.storage.get(this.sKey('SessionId'));
-		// Get the indication if this was a "link account" request.
+		// Get the indication if this was a "link account" or a reauthentication request.
 		const linkAccount = await this.storage.get(this.sKey('LinkAccount'));
+		const reauthenticate = await this.storage.get(this.sKey('Reauthenticate'));
+		// The raw nonce of the flow, which is compared with the hash in the ID token.
+		const nonce = await this.storage.get(this.sKey('Nonce'));
 		// Check for the edge case in which the user signed-out
 		// before completing the linkAccount request.
-		if (linkAccount && !this.user) throw Error('Request to "Link account" was made, but user is no longer signed-in');
-
-		await this.storage.remove(this.sKey('LinkAccount'));
+		if ((linkAccount || reauthenticate) && !this.user)
+			throw new AuthError('USER_NOT_SIGNED_IN', {
+				message: 'Request to "Link account" or "Reauthenticate" was made, but user is no longer signed-in'
+			});
 
 		// Try to exchange the Auth Code for an idToken and refreshToken.
-		const { idToken, refreshToken, expiresAt, context } = await this.api('signInWithIdp', {
-			// If this is a "link account" flow, then attach the idToken of the currently signed-in account.
-			idToken: linkAccount ? this.user.tokenManager.idToken : undefined,
-			requestUri,
-			sessionId,
-			returnSecureToken: true
-		});
+		const data = await this.api(
+			'signInWithIdp',
+			{
+				// If this is a "link account" flow, then attach the idToken of the currently signed-in account.
+				idToken: linkAccount ? this.user.tokenManager.idToken : undefined,
+				requestUri,
+				// The raw nonce is sent along with the response of the provider, which is in the query string when it wasn't POSTed.
+				postBody: nonce ? `${postBody || linkParams(requestUri)}&nonce=${nonce}` : postBody,
+				sessionId,
+				returnSecureToken: true,
+				// Return the credential instead of an error when it already belongs to a different account.
+				returnIdpCredential: true
+			},
+			requestOptions
+		);
 
-		// Now, get the user profile.
-		await this.fetchProfile({ idToken, refreshToken, expiresAt });
+		if (data.errorMessage) return credentialConflict(data);
 
-		// Remove sensitive data from the URLSearch params in the location bar.
-		history.replaceState(null, null, location.origin + location.pathname);
+		// Now, get the user profile, unless the user only had to prove who they are.
+		if (reauthenticate) return await this.reauthenticate(data);
+		return await this.finishSignIn(data, requestOptions, {}, linkAccount);
+	}
+
+	/**
+	 * Signs in or signs up with a credential that was already received from a provider,
+	 * for example a Google ID token from One Tap, or an Apple identity token from a native app.
+	 * @param {Object} credential
+	 * @param {string} credential.providerId The ID of the provider, for example "google.com" or "apple.com".
+	 * @param {string} [credential.idToken] The OIDC ID token issued by the provider.
+	 * @param {string} [credential.accessToken] The OAuth access token issued by the provider.
+	 * @param {string} [credential.nonce] The raw nonce the ID token was requested with, when there was one.
+	 * @param {boolean} [credential.linkAccount = false] Whether to link the credential with the current account.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult|CredentialConflictResult}
+	 */
+	async signInWithCredential({ linkAccount, ...credential }, requestOptions) {
+		// Makes sure the user is signed-in when an "account link" was requested.
+		linkAccount && (await this.enforceAuth());
+
+		const data = await this.api(
+			'signInWithIdp',
+			{
+				// If this is a "link account" flow, then attach the idToken of the currently signed-in account.
+				idToken: linkAccount ? this.user.tokenManager.idToken : undefined,
+				requestUri: this.redirectUri || location.href,
+				postBody: credentialBody(credential),
+				returnSecureToken: true,
+				returnIdpCredential: true
+			},
+			requestOptions
+		);
+
+		if (data.errorMessage) return credentialConflict(data);
+
+		return await this.finishSignIn(data, requestOptions, {}, linkAccount);
+	}
+
+	/**
+	 * Signs in to the account a federated credential belongs to, after it caused a `CredentialConflictResult`.
+	 * The current user, usually an anonymous one, is replaced by that account.
+	 * @param {Object} pendingCredential The `pendingCredential` of the `CredentialConflictResult`.
+	 * @param {Object} [options]
+	 * @param {function} [options.migrate] Called with `{ from, to, idToken }` before the user is replaced, where `from`
+	 * and `to` are the IDs of the current and the new account. Can be used to move the data of an anonymous user.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async signInWithPendingCredential(pendingCredential, { migrate } = {}, requestOptions) {
+		// The pending token represents the whole credential, when the provider returned one.
+		const { pendingToken } = pendingCredential;
+		const postBody = pendingToken ? undefined : credentialBody(pendingCredential);
+		const requestUri = this.redirectUri || location.href;
+
+		const data = await this.api(
+			'signInWithIdp',
+			{ requestUri, pendingToken, postBody, returnSecureToken: true },
+			requestOptions
+		);
+		const { idToken, localId, mfaPendingCredential } = data;
 
-		return context;
+		if (migrate && this.user && !mfaPendingCredential) await migrate({ from: this.user.localId, to: localId, idToken });
+
+		return await this.finishSignIn(data, requestOptions);
 	}
 
 	/**
 	 * Handles all sign-in flows that complete via redirects.
+	 * When the page was opened by `signInWithPopup`, the URL is passed back to the opener and the popup is closed.
 	 * Fails silently if no redirect was detected.
+	 * @param {RequestOptions} [options]
+	 * @param {string} [options.postBody] The form encoded body the page received, for providers that POST the callback.
+	 * @returns {SignInResult|MfaRequiredResult|CredentialConflictResult|undefined}
 	 */
-	async handleSignInRedirect() {
-		// OAuth Federated Identity Provider flow.
-		if (location.href.match(/[&?]code=/)) return this.finishProviderSignIn();
+	async handleSignInRedirect({ postBody, ...requestOptions } = {}) {
+		// OAuth, OIDC or SAML Federated Identity Provider flow.
+		if (postBody || isProviderCallback(linkParams(location.href))) {
+			const result = await this.handleProviderCallback(location.href, postBody, requestOptions);
+			if (result.type === 'popup' || result.type === 'none') return;
+
+			// Remove sensitive data from the URLSearch params in the location bar.
+			history.replaceState(null, null, location.origin + location.pathname);
+
+			return result;
+		}
 
 		// Email sign-in flow.
 		if (location.href.match(/[&?]oobCode=/)) {
-			const oobCode = location.href.match(/[?&]oobCode=([^&]+)/)[1];
-			const email = location.href.match(/[?&]email=([^&]+)/)[1];
-			const expiresAt = Date.now() + 3600 * 1000;
-			const { idToken, refreshToken } = await this.api('signInWithEmailLink', { oobCode, email });
-
-			// Now, get the user profile.
-			await this.fetchProfile({ idToken, refreshToken, expiresAt });
+			const result = await this.signInWithEmailLink(undefined, undefined, requestOptions);
 
 			// Remove sensitive data from the URLSearch params in the location bar.
 			history.replaceState(null, null, location.origin + location.pathname);
+
+			return result;
+		}
+	}
+
+	/**
+	 * Finishes the callback of a federated provider, or passes it back to the page that opened the popup.
+	 * @param {string} url The URL of the callback.
+	 * @param {string} [postBody] The form encoded body of the callback, when the provider POSTed it.
+	 * @param {RequestOptions} [requestOptions]
+	 * @private
+	 * @returns {SignInResult|MfaRequiredResult|CredentialConflictResult|{type: 'popup'|'none'}}
+	 */
+	async handleProviderCallback(url, postBody, requestOptions) {
+		// Only the popup opened by `signInWithPopup` passes the callback back, other pages might have an opener too.
+		// Only pages of the same origin will receive the message.
+		if (window.opener && window.name === this.sKey('Popup') && url === location.href) {
+			window.opener.postMessage({ type: 'signInRedirect', url, postBody }, location.origin);
+			window.close();
+			return { type: 'popup' };
+		}
+
+		// Ignore callbacks of flows that weren't started by this app, or were already finished.
+		if (!(await this.storage.get(this.sKey('OAuthFlow')))) return { type: 'none' };
+
+		return await this.finishProviderSignIn(url, requestOptions, postBody);
+	}
+
+	/**
+	 * Handles every kind of link that leads back to the app: the action links sent by `sendOobCode`,
+	 * email sign-in links and the redirects of federated providers.
+	 * The URL is cleaned afterwards, when it's the URL of the current page.
+	 * @param {string} [url] The URL of the link, defaults to the current location.
+	 * @param {RequestOptions} [options]
+	 * @param {string} [options.postBody] The form encoded body the page received, for providers that POST the callback.
+	 * @returns {ActionLinkResult|MfaRequiredResult|CredentialConflictResult}
+	 */
+	async handleActionLink(url = location.href, { postBody, ...requestOptions } = {}) {
+		const params = linkParams(url);
+		const mode = params.get('mode');
+		const oobCode = params.get('oobCode');
+		// Where to send the user after the action is done, and the language of the email, as set in the console.
+		const info = { continueUrl: params.get('continueUrl') || undefined, lang: params.get('lang') || undefined };
+
+		const result = await this.applyActionLink(mode, oobCode, params, url, requestOptions, postBody);
+		// Callbacks in popups are finished by the page that opened them.
+		if (result.type === 'popup') return result;
+
+		// Remove sensitive data from the URLSearch params in the location bar.
+		result.type !== 'none' &&
+			url === location.href &&
+			history.replaceState(null, null, location.origin + location.pathname);
+
+		const passThrough = result.type === 'mfaRequired' || result.type === 'credentialConflict';
+		return passThrough ? result : { ...result, ...info };
+	}
+
+	/**
+	 * Does what an action link asks for, and describes it as an `ActionLinkResult`.
+	 * @private
+	 */
+	async applyActionLink(mode, oobCode, params, url, requestOptions, postBody) {
+		// OAuth, OIDC or SAML Federated Identity Provider flow.
+		if (postBody || (!oobCode && isProviderCallback(params))) {
+			const result = await this.handleProviderCallback(url, postBody, requestOptions);
+			return result.type === 'signIn' ? { ...result, type: 'oauth' } : result;
 		}
+
+		if (!oobCode) return { type: 'none' };
+
+		switch (mode) {
+			case 'resetPassword': {
+				// The code is only checked here, because the user still has to choose a new password.
+				const { email } = await this.checkActionCode(oobCode, requestOptions);
+				return { type: 'newPasswordRequired', oobCode, email };
+			}
+
+			case 'verifyEmail':
+				return { type: 'emailVerified', email: await this.applyActionCode(oobCode, requestOptions) };
+
+			case 'recoverEmail':
+			case 'verifyAndChangeEmail': {
+				const { email, previousEmail } = await this.checkActionCode(oobCode, requestOptions);
+				await this.applyActionCode(oobCode, requestOptions);
+				return { type: mode === 'recoverEmail' ? 'emailRecovered' : 'emailChanged', email, previousEmail };
+			}
+
+			case 'signIn':
+				try {
+					const result = await this.signInWithEmailLink(url, undefined, requestOptions);
+					return result.type === 'signIn' ? { ...result, email: this.user.email } : result;
+				} catch (e) {
+					// Links opened on another device need the user to type their email again.
+					if (e.code === 'MISSING_EMAIL') return { type: 'emailRequired', link: url };
+					throw e;
+				}
+
+			default:
+				return { type: 'none' };
+		}
+	}
+
+	/**
+	 * Signs in with a link that was sent by `sendOobCode('EMAIL_SIGNIN', email)`.
+	 * When the signed-in user is anonymous, the email is linked to their account instead, so their data is kept.
+	 * @param {string} [link] The link the user opened, defaults to the current location.
+	 * @param {string} [email] The email the link was sent to. Only needed when the link was opened on another device.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async signInWithEmailLink(link = location.href, email, requestOptions) {
+		const params = linkParams(link);
+
+		// The email is stored when the link is sent, but links sent by older versions contain it.
+		email = email || params.get('email') || (await this.storage.get(this.sKey('EmailForSignIn')));
+		if (!email)
+			throw new AuthError('MISSING_EMAIL', {
+				message: 'The email the link was sent to is needed to sign in, it was probably opened on another device.'
+			});
+
+		const anonymous = this.user && signInProvider(this.user.tokenManager.idToken) === 'anonymous';
+		anonymous && (await this.refreshIdToken());
+
+		const data = await this.api(
+			'signInWithEmailLink',
+			{ idToken: anonymous ? this.user.tokenManager.idToken : undefined, oobCode: params.get('oobCode'), email },
+			requestOptions
+		);
+
+		await this.storage.remove(this.sKey('EmailForSignIn'));
+
+		// Now, get the user profile.
+		return await this.finishSignIn(data, requestOptions);
 	}
 
 	/**
@@ -331,32 +1364,243 @@ export default class Auth {
 	 * Automatically signs the user in on completion.
 	 * @param {string} [email] An email for the user to pass.
 	 * @param {string} [password] A password for the user to pass.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
 	 */
-	async signUp(email, password) {
+	async signUp(email, password, requestOptions) {
 		// Sign up and then retrieve the user profile and persist it in the session.
-		return await this.fetchProfile(
-			await this.api('signUp', {
-				email,
-				password,
-				returnSecureToken: true
-			})
-		);
+		const data = await this.api('signUp', { email, password, returnSecureToken: true }, requestOptions);
+		return await this.finishSignIn(data, requestOptions, { isNewUser: true });
 	}
 
 	/**
 	 * Signs in a user with email and password.
 	 * @param {string} email
 	 * @param {string} password
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
 	 */
-	async signIn(email, password) {
+	async signIn(email, password, requestOptions) {
 		// Sign in and then retrieve the user profile and persist it in the session.
-		return await this.fetchProfile(
-			await this.api('signInWithPassword', {
-				email,
-				password,
-				returnSecureToken: true
-			})
+		const data = await this.api('signInWithPassword', { email, password, returnSecureToken: true }, requestOptions);
+		return await this.finishSignIn(data, requestOptions);
+	}
+
+	/**
+	 * Sends an SMS with a verification code to a phone number.
+	 * The returned session info is needed to finish the flow with `signInWithPhoneNumber`.
+	 * @param {string} phoneNumber The phone number in E.164 format, for example "+15555550100".
+	 * @param {string} recaptchaToken A reCAPTCHA token used to verify the request came from a human.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {string} The session info of the verification.
+	 */
+	async sendVerificationCode(phoneNumber, recaptchaToken, requestOptions) {
+		return (await this.api('sendVerificationCode', { phoneNumber, recaptchaToken }, requestOptions)).sessionInfo;
+	}
+
+	/**
+	 * Signs in or signs up a user with the verification code that was sent to their phone.
+	 * It can also be used to link the phone number to the currently signed-in account.
+	 * @param {string} sessionInfo The session info returned by `sendVerificationCode`.
+	 * @param {string} code The verification code the user received.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.linkAccount = false] Whether to link the phone number with the current account.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw "CREDENTIAL_ALREADY_IN_USE" when linking a phone number of a different account.
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async signInWithPhoneNumber(sessionInfo, code, { linkAccount } = {}, requestOptions) {
+		// Makes sure the user is signed-in when an "account link" was requested.
+		linkAccount && (await this.enforceAuth());
+
+		// If this is a "link account" flow, then attach the idToken of the currently signed-in account.
+		const data = await this.api(
+			'signInWithPhoneNumber',
+			{ idToken: linkAccount ? this.user.tokenManager.idToken : undefined, sessionInfo, code },
+			requestOptions
+		);
+
+		// Instead of tokens, a proof of the phone number is returned when it already belongs to a different account.
+		if (data.temporaryProof)
+			throw new AuthError('CREDENTIAL_ALREADY_IN_USE', {
+				message: `The phone number ${data.phoneNumber} already belongs to a different account.`
+			});
+
+		return await this.finishSignIn(data, requestOptions, {}, linkAccount);
+	}
+
+	/**
+	 * Sends an SMS with a verification code to the second factor of an account that requires it to sign in.
+	 * @param {string} mfaPendingCredential The pending credential from the `MfaRequiredResult`.
+	 * @param {string} mfaEnrollmentId The ID of the enrolled factor to use, taken from `mfaInfo`.
+	 * @param {string} recaptchaToken A reCAPTCHA token used to verify the request came from a human.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {string} The session info of the verification.
+	 */
+	async startMfaSignIn(mfaPendingCredential, mfaEnrollmentId, recaptchaToken, requestOptions) {
+		const { phoneResponseInfo } = await this.api(
+			'mfaSignIn:start',
+			{
+				mfaPendingCredential,
+				mfaEnrollmentId,
+				phoneSignInInfo: { recaptchaToken }
+			},
+			requestOptions
+		);
+
+		return phoneResponseInfo.sessionInfo;
+	}
+
+	/**
+	 * Completes the sign-in of an account that requires a second factor.
+	 * @param {string} mfaPendingCredential The pending credential from the `MfaRequiredResult`.
+	 * @param {Object} verification The verification of the second factor.
+	 * @param {string} [verification.sessionInfo] The session info returned by `startMfaSignIn`, only for SMS factors.
+	 * @param {string} [verification.mfaEnrollmentId] The ID of the enrolled factor, only for TOTP factors.
+	 * @param {string} verification.code The verification code the user received or got from their authenticator app.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async finishMfaSignIn(mfaPendingCredential, { sessionInfo, mfaEnrollmentId, code }, requestOptions) {
+		// TOTP factors don't have a session, since no code is sent to the user.
+		const verification = sessionInfo
+			? { phoneVerificationInfo: { sessionInfo, code } }
+			: { mfaEnrollmentId, totpVerificationInfo: { verificationCode: code } };
+
+		const data = await this.api('mfaSignIn:finalize', { mfaPendingCredential, ...verification }, requestOptions);
+
+		// The second factor of a reauthentication only refreshes the credentials of the current account.
+		if (mfaPendingCredential === this.pendingReauthentication) {
+			this.pendingReauthentication = null;
+			await this.enforceAuth();
+			return await this.reauthenticate(data);
+		}
+
+		return await this.finishSignIn(data, requestOptions);
+	}
+
+	/**
+	 * Sends an SMS with a verification code to a phone number that will be enrolled as a second factor.
+	 * @param {string} phoneNumber The phone number in E.164 format, for example "+15555550100".
+	 * @param {string} recaptchaToken A reCAPTCHA token used to verify the request came from a human.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {string} The session info of the verification.
+	 */
+	async startMfaEnrollment(phoneNumber, recaptchaToken, requestOptions) {
+		await this.enforceAuth();
+
+		const { phoneSessionInfo } = await this.api(
+			'mfaEnrollment:start',
+			{
+				idToken: this.user.tokenManager.idToken,
+				phoneEnrollmentInfo: { phoneNumber, recaptchaToken }
+			},
+			requestOptions
 		);
+
+		return phoneSessionInfo.sessionInfo;
+	}
+
+	/**
+	 * Enrolls a phone number as a second factor of the signed-in account.
+	 * @param {string} sessionInfo The session info returned by `startMfaEnrollment`.
+	 * @param {string} code The verification code the user received.
+	 * @param {string} [displayName] A name for the factor that will be shown to the user.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async enrollMfa(sessionInfo, code, displayName, requestOptions) {
+		await this.finalizeMfaEnrollment(displayName, { phoneVerificationInfo: { sessionInfo, code } }, requestOptions);
+	}
+
+	/**
+	 * Starts the enrollment of an authenticator app (TOTP) as a second factor of the signed-in account.
+	 * The returned `uri` can be rendered as a QR code for the user to scan with the app.
+	 * @param {string} appName The name of the app, will be shown by the authenticator app along with the account email.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {TotpEnrollment}
+	 */
+	async startTotpEnrollment(appName, requestOptions) {
+		await this.enforceAuth();
+
+		const { totpSessionInfo } = await this.api(
+			'mfaEnrollment:start',
+			{
+				idToken: this.user.tokenManager.idToken,
+				totpEnrollmentInfo: {}
+			},
+			requestOptions
+		);
+
+		const { sharedSecretKey: secret, verificationCodeLength, hashingAlgorithm, periodSec } = totpSessionInfo;
+		const issuer = encodeURIComponent(appName);
+		const account = encodeURIComponent(this.user.email || this.user.phoneNumber || this.user.localId);
+		const uri =
+			`otpauth://totp/${issuer}:${account}?secret=${secret}&issuer=${issuer}` +
+			`&algorithm=${hashingAlgorithm}&digits=${verificationCodeLength}&period=${periodSec}`;
+
+		return {
+			sessionInfo: totpSessionInfo.sessionInfo,
+			secret,
+			verificationCodeLength,
+			hashingAlgorithm,
+			periodSec,
+			uri
+		};
+	}
+
+	/**
+	 * Enrolls an authenticator app (TOTP) as a second factor of the signed-in account.
+	 * @param {string} sessionInfo The session info returned by `startTotpEnrollment`.
+	 * @param {string} code The verification code currently shown by the authenticator app.
+	 * @param {string} [displayName] A name for the factor that will be shown to the user.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async enrollTotp(sessionInfo, code, displayName, requestOptions) {
+		await this.finalizeMfaEnrollment(
+			displayName,
+			{ totpVerificationInfo: { sessionInfo, verificationCode: code } },
+			requestOptions
+		);
+	}
+
+	/**
+	 * Finishes the enrollment of a second factor of any kind.
+	 * @param {string} [displayName] A name for the factor that will be shown to the user.
+	 * @param {Object} verification The verification info for the specific kind of factor.
+	 * @param {RequestOptions} [requestOptions]
+	 * @private
+	 */
+	async finalizeMfaEnrollment(displayName, verification, requestOptions) {
+		await this.enforceAuth();
+
+		// The tokens are revoked on enrollment, so we update them along with the list of factors.
+		const { idToken, refreshToken, expiresAt } = await this.api(
+			'mfaEnrollment:finalize',
+			{ idToken: this.user.tokenManager.idToken, displayName, ...verification },
+			requestOptions
+		);
+		await this.fetchProfile({ idToken, refreshToken, expiresAt }, requestOptions);
+	}
+
+	/**
+	 * Removes a second factor from the signed-in account.
+	 * @param {string} mfaEnrollmentId The ID of the enrolled factor, taken from the user's `mfaInfo`.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async unenrollMfa(mfaEnrollmentId, requestOptions) {
+		await this.enforceAuth();
+
+		const { idToken, refreshToken, expiresAt } = await this.api(
+			'mfaEnrollment:withdraw',
+			{ idToken: this.user.tokenManager.idToken, mfaEnrollmentId },
+			requestOptions
+		);
+		await this.fetchProfile({ idToken, refreshToken, expiresAt }, requestOptions);
 	}
 
 	/**
@@ -366,74 +1610,168 @@ export default class Auth {
 	 * Can be used to reset a password, to verify an email address and send a Sign-in email link.
 	 * @param {'PASSWORD_RESET'|'VERIFY_EMAIL'|'EMAIL_SIGNIN'} requestType The type of out-of-band (OOB) code to send.
 	 * @param {string} [email] When the `requestType` is `PASSWORD_RESET` or `EMAIL_SIGNIN` you need to provide an email address.
+	 * @param {ActionCodeSettings} [settings] Where the link leads to, and how apps should handle it.
+	 * @param {RequestOptions} [requestOptions]
 	 * @returns {Promise}
 	 */
-	async sendOobCode(requestType, email) {
+	async sendOobCode(requestType, email, settings = {}, requestOptions) {
 		const verifyEmail = requestType === 'VERIFY_EMAIL';
 		if (verifyEmail) {
 			await this.enforceAuth();
 			email = this.user.email;
 		}
 
-		return void this.api('sendOobCode', {
-			idToken: verifyEmail ? this.user.tokenManager.idToken : undefined,
-			requestType,
-			email,
-			continueUrl: this.redirectUri + `?email=${email}`
-		});
+		const {
+			continueUrl = this.redirectUri,
+			canHandleCodeInApp,
+			iOSBundleId,
+			androidPackageName,
+			androidInstallApp,
+			androidMinimumVersion,
+			dynamicLinkDomain,
+			targetProjectId
+		} = settings;
+
+		await this.api(
+			'sendOobCode',
+			{
+				idToken: verifyEmail ? this.user.tokenManager.idToken : undefined,
+				requestType,
+				email,
+				continueUrl,
+				canHandleCodeInApp,
+				iOSBundleId,
+				androidPackageName,
+				androidInstallApp,
+				androidMinimumVersion,
+				dynamicLinkDomain,
+				targetProjectId
+			},
+			requestOptions
+		);
+
+		// The email is needed to finish signing in with the link. Keeping it in the link would expose it in the
+		// browser history and in server logs, so it's stored until the link is opened instead.
+		requestType === 'EMAIL_SIGNIN' && (await this.storage.set(this.sKey('EmailForSignIn'), email));
 	}
 
 	/**
 	 * Resets the password by using a reset code.
 	 * It can also be used to verify oobCode by not passing a password.
 	 * @param {string} code
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {string} The email of the account to which the code was issued.
+	 */
+	async resetPassword(oobCode, newPassword, requestOptions) {
+		return (await this.api('resetPassword', { oobCode, newPassword }, requestOptions)).email;
+	}
+
+	/**
+	 * Returns what an out-of-band code does without using it, so the user can be asked to confirm it first.
+	 * @param {string} oobCode The code from the link that was sent by email.
+	 * @param {RequestOptions} [requestOptions]
+	 * @returns {ActionCodeInfo}
+	 */
+	async checkActionCode(oobCode, requestOptions) {
+		const { requestType: operation, email, newEmail } = await this.api('resetPassword', { oobCode }, requestOptions);
+
+		// When the email is changed, the new one is the email the code is about.
+		// Otherwise the "newEmail" is the one that is being replaced, like when recovering an email.
+		if (operation === 'VERIFY_AND_CHANGE_EMAIL') return { operation, email: newEmail, previousEmail: email };
+		return { operation, email, previousEmail: newEmail };
+	}
+
+	/**
+	 * Applies an out-of-band code that verifies an email, recovers an email or changes it.
+	 * If a user is signed-in their profile is refreshed, so changes like `emailVerified` are reflected.
+	 * @param {string} oobCode The code from the link that was sent by email.
+	 * @param {RequestOptions} [requestOptions]
 	 * @returns {string} The email of the account to which the code was issued.
 	 */
-	async resetPassword(oobCode, newPassword) {
-		return (await this.api('resetPassword', { oobCode, newPassword })).email;
+	async applyActionCode(oobCode, requestOptions) {
+		const { email } = await this.api('update', { oobCode }, requestOptions);
+
+		if (this.user) {
+			// Changing the email revokes the tokens of the account, in that case the user has to sign in again.
+			try {
+				await this.refreshIdToken();
+				await this.fetchProfile(undefined, requestOptions);
+			} catch (e) {
+				if (!revocationCodes.includes(e.code)) throw e;
+				await this.revoke(e.code);
+			}
+		}
+
+		return email;
 	}
 
 	/**
 	 * Returns info about all providers associated with a specified email.
 	 * @param {string} email The user's email address.
+	 * @param {RequestOptions} [requestOptions]
 	 * @returns {ProvidersForEmailResponse}
 	 */
-	async fetchProvidersForEmail(email) {
-		const response = await this.api('createAuthUri', { identifier: email, continueUri: location.href });
+	async fetchProvidersForEmail(email, requestOptions) {
+		const response = await this.api('createAuthUri', { identifier: email, continueUri: location.href }, requestOptions);
 		delete response.kind;
 		return response;
 	}
 
 	/**
 	 * @param {Object} [tokenManager] Only when not signed-in.
+	 * @param {RequestOptions} [requestOptions]
+	 * @param {boolean} [signIn = false] Whether the tokens are from a new sign-in, even if it's the same account.
 	 * @throws Will throw if the user is not signed-in.
+	 * @returns {MfaRequiredResult|undefined} Only returns when the sign-in requires a second factor.
 	 * Gets the user data from the server and updates the local caches.
 	 */
-	async fetchProfile(tokenManager = this.user && this.user.tokenManager) {
+	async fetchProfile(tokenManager = this.user && this.user.tokenManager, requestOptions, signIn = false) {
 		if (!tokenManager) await this.enforceAuth();
 
-		const [userData] = (await this.api('lookup', { idToken: tokenManager.idToken })).users;
+		// Accounts with a second factor don't receive tokens after signing in with the first one.
+		// Instead we return the pending credential, so the sign-in can be completed with `finishMfaSignIn`.
+		if (tokenManager.mfaPendingCredential) {
+			const { mfaPendingCredential, mfaInfo } = tokenManager;
+			return { type: 'mfaRequired', mfaPendingCredential, mfaInfo };
+		}
+
+		const [userData] = (await this.api('lookup', { idToken: tokenManager.idToken }, requestOptions)).users;
 
 		delete userData.kind;
 		userData.tokenManager = tokenManager;
 
+		// Getting the profile of a different account than the current one means it was just signed in.
+		const previous = this.user;
+		const signedIn = signIn || !previous || previous.localId !== userData.localId;
+
+		// The session policies count from the time the user signed in.
+		userData.signedInAt = (!signedIn && previous.signedInAt) || Date.now();
+		signedIn && (await this.setLastActive(userData.signedInAt));
 		await this.setState(userData);
+
+		if (signedIn) this.emit('signIn', { user: this.user, reason: signInProvider(tokenManager.idToken) });
+		else this.emit('profileUpdate', { user: this.user, reason: 'PROFILE_FETCHED' });
 	}
 
 	/**
 	 * @param {Object} newData An object with the new data.
+	 * @param {RequestOptions} [requestOptions]
 	 * @throws Will throw if the user is not signed-in.
 	 * Update user's profile.
 	 */
-	async updateProfile(newData) {
+	async updateProfile(newData, requestOptions) {
 		await this.enforceAuth();
 
 		// Calculate the expiration date for the idToken.
-		const updatedData = await this.api('update', {
-			...newData,
-			idToken: this.user.tokenManager.idToken,
-			returnSecureToken: true
-		});
+		const updatedData = await this.api(
+			'update',
+			{
+				...newData,
+				idToken: this.user.tokenManager.idToken,
+				returnSecureToken: true
+			},
+			requestOptions
+		);
 
 		const { idToken, refreshToken, expiresAt } = updatedData;
 
@@ -443,20 +1781,165 @@ export default class Auth {
 			updatedData.tokenManager = this.user.tokenManager;
 		}
 
+		updatedData.signedInAt = this.user.signedInAt;
 		delete updatedData.kind;
 		delete updatedData.idToken;
 		delete updatedData.refreshToken;
 
 		await this.setState(updatedData);
+		this.emit('profileUpdate', { user: this.user, reason: 'PROFILE_UPDATED' });
+	}
+
+	/**
+	 * Links an email and password to the signed-in account, so it can sign in with them as well.
+	 * Useful for upgrading anonymous accounts, or accounts that only use federated providers.
+	 * @param {string} email
+	 * @param {string} password
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async linkWithEmailAndPassword(email, password, requestOptions) {
+		await this.enforceAuth();
+
+		// The tokens are replaced on link, so we update them along with the list of providers.
+		const { idToken, refreshToken, expiresAt } = await this.api(
+			'update',
+			{ idToken: this.user.tokenManager.idToken, email, password, returnSecureToken: true },
+			requestOptions
+		);
+		await this.fetchProfile({ idToken, refreshToken, expiresAt }, requestOptions);
+	}
+
+	/**
+	 * Removes a federated provider, or the phone number, from the signed-in account.
+	 * @param {string} providerId The ID of the provider, for example "google.com" or "phone".
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async unlinkProvider(providerId, requestOptions) {
+		await this.enforceAuth();
+
+		await this.api('update', { idToken: this.user.tokenManager.idToken, deleteProvider: [providerId] }, requestOptions);
+		await this.fetchProfile(undefined, requestOptions);
+	}
+
+	/**
+	 * Gets the profile of a user that just signed in, and describes the sign-in.
+	 * @param {Object} data The response of a sign-in request.
+	 * @param {RequestOptions} [requestOptions]
+	 * @param {Object} [overrides] Fields the response doesn't have, like `isNewUser` for sign-ups.
+	 * @param {boolean} [linked = false] Whether the credential was linked to the current account, which keeps its session.
+	 * @returns {SignInResult|MfaRequiredResult|CredentialConflictResult}
+	 * @private
+	 */
+	async finishSignIn(data, requestOptions, overrides, linked = false) {
+		const { idToken, refreshToken, expiresAt, mfaPendingCredential, mfaInfo } = data;
+		const tokenManager = { idToken, refreshToken, expiresAt, mfaPendingCredential, mfaInfo };
+
+		// No tokens are issued when the email of the provider belongs to another account.
+		if (data.needConfirmation) return credentialConflict(data);
+
+		// Signing in again starts a new session, even when it's the same account.
+		const mfaRequired = await this.fetchProfile(tokenManager, requestOptions, !linked);
+		return mfaRequired || signInResult({ ...data, ...overrides }, this.user);
+	}
+
+	/**
+	 * Replaces the credentials of the signed-in user with fresh ones, if they belong to the same account.
+	 * @param {Object} data The response of a sign-in request.
+	 * @returns {SignInResult|MfaRequiredResult}
+	 * @private
+	 */
+	async reauthenticate(data) {
+		const { idToken, refreshToken, expiresAt, mfaPendingCredential, mfaInfo } = data;
+
+		// Accounts with a second factor need to finish with `finishMfaSignIn`, which then finishes the reauthentication.
+		if (mfaPendingCredential) {
+			this.pendingReauthentication = mfaPendingCredential;
+			return { type: 'mfaRequired', mfaPendingCredential, mfaInfo };
+		}
+
+		// The response of a second factor has no localId, but the idToken always has it.
+		const localId = data.localId || decodeToken(idToken).sub;
+
+		if (localId !== this.user.localId)
+			throw new AuthError('USER_MISMATCH', {
+				message: 'The credentials belong to a different account than the one that is signed-in.'
+			});
+
+		// Proving who they are starts a new session.
+		const signedInAt = Date.now();
+		await this.setLastActive(signedInAt);
+		await this.setState({ ...this.user, signedInAt, tokenManager: { idToken, refreshToken, expiresAt } });
+		this.emit('tokenRefresh', { user: this.user, reason: 'REAUTHENTICATION' });
+
+		return signInResult(data, this.user);
+	}
+
+	/**
+	 * Proves again that the signed-in user is who they claim to be, by asking for their password.
+	 * Required by sensitive operations when the user signed in a long time ago.
+	 * @param {string} password The password of the signed-in user.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async reauthenticateWithPassword(password, requestOptions) {
+		await this.enforceAuth();
+
+		const data = await this.api(
+			'signInWithPassword',
+			{ email: this.user.email, password, returnSecureToken: true },
+			requestOptions
+		);
+		return await this.reauthenticate(data);
+	}
+
+	/**
+	 * Proves again that the signed-in user is who they claim to be, by signing in with a federated ID provider.
+	 * Like `signInWithProvider` the page is redirected, and the flow is finished by `handleSignInRedirect`.
+	 * Use `signInWithPopup` with the `reauthenticate` option to do it in a popup instead.
+	 * @param {oauthFlowOptions|string} options An options object or a string with the name of the provider.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 */
+	async reauthenticateWithProvider(options, requestOptions) {
+		const flowOptions = typeof options === 'string' ? { provider: options } : options;
+		await this.signInWithProvider({ ...flowOptions, reauthenticate: true }, requestOptions);
+	}
+
+	/**
+	 * Proves again that the signed-in user is who they claim to be, with an email link sent by `sendOobCode('EMAIL_SIGNIN')`.
+	 * @param {string} [link] The link the user opened, defaults to the current location.
+	 * @param {RequestOptions} [requestOptions]
+	 * @throws Will throw if the user is not signed-in.
+	 * @returns {SignInResult|MfaRequiredResult}
+	 */
+	async reauthenticateWithEmailLink(link = location.href, requestOptions) {
+		await this.enforceAuth();
+
+		const data = await this.api(
+			'signInWithEmailLink',
+			{ oobCode: linkParams(link).get('oobCode'), email: this.user.email, returnSecureToken: true },
+			requestOptions
+		);
+		await this.storage.remove(this.sKey('EmailForSignIn'));
+		const result = await this.reauthenticate(data);
+
+		// Remove sensitive data from the URLSearch params in the location bar.
+		link === location.href && history.replaceState(null, null, location.origin + location.pathname);
+
+		return result;
 	}
 
 	/**
 	 * Deletes the currently signed-in account then sign out.
+	 * @param {RequestOptions} [requestOptions]
 	 * @throws Will throw if the user is not signed-in.
 	 */
-	async deleteAccount() {
+	async deleteAccount(requestOptions) {
 		await this.enforceAuth();
-		await this.api('delete', `{"idToken": "${this.user.tokenManager.idToken}"}`);
-		this.signOut();
+		await this.api('delete', `{"idToken": "${this.user.tokenManager.idToken}"}`, requestOptions);
+		await this.signOut('ACCOUNT_DELETED');
 	}
 }
@@ -1,4 +1,4 @@
-import Auth from '../src/main.js';
+import Auth, { AuthError, asyncStorageAdapter } from '../src/main.js';
 
 let assignMock = jest.fn(href => {
 	window.location.href = href;
@@ -15,6 +15,11 @@ const mockUserData = {
 	}
 };
 
+const authUriResponse = '{ "authUri": "https://provider.com/auth?state=flowState", "sessionId": "sessionId" }';
+
+// Lets pending promises settle, even when the timers are faked.
+const flushPromises = () => new Promise(jest.requireActual('timers').setImmediate);
+
 async function mockLoggedIn(auth) {
 	// Await initialization.
 	await new Promise(resolve => {
@@ -30,6 +35,11 @@ beforeEach(() => {
 	window.location.href = 'currentUri';
 	localStorage.removeItem('Auth:User:key:default');
 	localStorage.removeItem('Auth:LinkAccount:key:default');
+	localStorage.removeItem('Auth:OAuthFlow:key:default');
+	localStorage.removeItem('Auth:EmailForSignIn:key:default');
+	localStorage.removeItem('Auth:Nonce:key:default');
+	localStorage.removeItem('Auth:LastActive:key:default');
+	localStorage.removeItem('Auth:SignOutReason:key:default');
 });
 
 describe('localStorageAdapter()', () => {
@@ -55,6 +65,145 @@ describe('localStorageAdapter()', () => {
 	});
 });
 
+describe('Persistence modes', () => {
+	test('"session" persists the user in sessionStorage', async () => {
+		const auth = new Auth({ apiKey: 'key', storage: 'session' });
+		await auth.setState({ test: 'working' });
+
+		expect(sessionStorage.getItem('Auth:User:key:default')).toEqual('{"test":"working"}');
+		expect(localStorage.getItem('Auth:User:key:default')).toEqual(null);
+		sessionStorage.clear();
+	});
+
+	test('"none" keeps the user in memory only', async () => {
+		const auth = new Auth({ apiKey: 'key', storage: 'none' });
+		await auth.setState({ test: 'working' });
+
+		expect(await auth.storage.get('Auth:User:key:default')).toEqual('{"test":"working"}');
+		expect(await auth.storage.get('missing')).toEqual(null);
+		expect(localStorage.getItem('Auth:User:key:default')).toEqual(null);
+	});
+
+	test('Throws on an unknown persistence mode', () => {
+		expect(() => new Auth({ apiKey: 'key', storage: 'cookies' })).toThrow('Unknown persistence "cookies"');
+	});
+
+	test('asyncStorageAdapter() uses the AsyncStorage methods', async () => {
+		const AsyncStorage = {
+			setItem: jest.fn(async () => {}),
+			getItem: jest.fn(async () => 'value'),
+			removeItem: jest.fn(async () => {})
+		};
+		const adapter = asyncStorageAdapter(AsyncStorage);
+
+		await adapter.set('key', 'value');
+		expect(await adapter.get('key')).toEqual('value');
+		await adapter.remove('key');
+
+		expect(AsyncStorage.setItem).toHaveBeenCalledWith('key', 'value');
+		expect(AsyncStorage.getItem).toHaveBeenCalledWith('key');
+		expect(AsyncStorage.removeItem).toHaveBeenCalledWith('key');
+	});
+
+	describe('"indexedDB"', () => {
+		// A minimal IndexedDB, where every request succeeds asynchronously, unless the database fails to open.
+		function mockIndexedDB(failures = 0) {
+			const data = {};
+			const request = fn => {
+				const req = {};
+				setTimeout(() => {
+					req.result = fn();
+					req.onsuccess();
+				});
+				return req;
+			};
+			const store = {
+				put: (v, k) => request(() => void (data[k] = v)),
+				get: k => request(() => data[k]),
+				delete: k => request(() => void delete data[k])
+			};
+			const db = { createObjectStore: jest.fn(), transaction: jest.fn(() => ({ objectStore: () => store })) };
+
+			return {
+				open: jest.fn(() => {
+					const req = {};
+					setTimeout(() => {
+						if (failures-- > 0) {
+							req.error = new Error('Failed to open');
+							return req.onerror();
+						}
+						req.result = db;
+						req.onupgradeneeded();
+						req.onsuccess();
+					});
+					return req;
+				})
+			};
+		}
+
+		afterEach(() => delete window.indexedDB);
+
+		test('Stores items in the database', async () => {
+			window.indexedDB = mockIndexedDB();
+			const auth = new Auth({ apiKey: 'key' });
+			await auth.setPersistence('indexedDB');
+
+			await auth.storage.set('key', 'value');
+			expect(await auth.storage.get('key')).toEqual('value');
+			await auth.storage.remove('key');
+			expect(await auth.storage.get('key')).toEqual(null);
+
+			expect(window.indexedDB.open).toHaveBeenCalledTimes(1);
+			expect(window.indexedDB.open).toHaveBeenCalledWith('firebase-auth-lite', 1);
+		});
+
+		test('Opens the database again after it failed to open', async () => {
+			window.indexedDB = mockIndexedDB(1);
+			const auth = new Auth({ apiKey: 'key' });
+			await auth.setPersistence('indexedDB');
+
+			await expect(auth.storage.get('key')).rejects.toThrow('Failed to open');
+			await auth.storage.set('key', 'value');
+
+			expect(await auth.storage.get('key')).toEqual('value');
+			expect(window.indexedDB.open).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	test('setPersistence() moves the user to the new storage', async () => {
+		const auth = new Auth({ apiKey: 'key' });
+
+		// Wait instantiation to finish.
+		await new Promise(resolve => auth.listen(resolve));
+		await auth.setState({ test: 'working' });
+
+		const listener = jest.fn(() => {});
+		auth.listen(listener);
+		await auth.setPersistence('session');
+
+		expect(localStorage.getItem('Auth:User:key:default')).toEqual(null);
+		expect(sessionStorage.getItem('Auth:User:key:default')).toEqual('{"test":"working"}');
+		expect(auth.user).toEqual({ test: 'working' });
+		expect(listener).toHaveBeenCalledTimes(0);
+		sessionStorage.clear();
+	});
+
+	test('setPersistence() moves the data of unfinished flows', async () => {
+		const auth = new Auth({ apiKey: 'key' });
+		localStorage.setItem('Auth:EmailForSignIn:key:default', 'test@example.com');
+		localStorage.setItem('Auth:SessionId:key:default', 'sessionId');
+
+		await auth.setPersistence('session');
+
+		expect(localStorage.getItem('Auth:EmailForSignIn:key:default')).toEqual(null);
+		expect(localStorage.getItem('Auth:SessionId:key:default')).toEqual(null);
+		expect(sessionStorage.getItem('Auth:EmailForSignIn:key:default')).toEqual('test@example.com');
+		expect(sessionStorage.getItem('Auth:SessionId:key:default')).toEqual('sessionId');
+		expect(sessionStorage.getItem('Auth:OAuthFlow:key:default')).toEqual(null);
+		sessionStorage.clear();
+	});
+});
+
 describe('Auth', () => {
 	describe('constructor', () => {
 		test('Throws when the "apiKey" argument is missing', () => {
@@ -374,6 +523,225 @@ describe('Auth', () => {
 		});
 	});
 
+	describe('api() errors', () => {
+		test('Throws an AuthError with the details of the failure', async () => {
+			const errors = [{ message: 'OPERATION_NOT_ALLOWED', domain: 'global', reason: 'invalid' }];
+			fetch.mockResponse(
+				JSON.stringify({
+					error: {
+						code: 400,
+						message: 'OPERATION_NOT_ALLOWED : The identity provider configuration is disabled.',
+						errors
+					}
+				}),
+				{ status: 400 }
+			);
+
+			const auth = new Auth({ apiKey: 'key' });
+			const error = await auth.api('signInWithIdp', {}).catch(e => e);
+
+			expect(error).toBeInstanceOf(AuthError);
+			expect(error.code).toEqual('OPERATION_NOT_ALLOWED');
+			expect(error.message).toEqual('OPERATION_NOT_ALLOWED : The identity provider configuration is disabled.');
+			expect(error.status).toEqual(400);
+			expect(error.endpoint).toEqual('signInWithIdp');
+			expect(error.errors).toEqual(errors);
+			expect(error.retryable).toEqual(false);
+		});
+
+		test('Server errors and rate limits with a "Retry-After" header are retryable', async () => {
+			fetch.mockResponses(
+				['Bad gateway', { status: 502 }],
+				['{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}', { status: 429, headers: { 'Retry-After': '1' } }],
+				['{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}', { status: 400 }]
+			);
+
+			const auth = new Auth({ apiKey: 'key', retries: 0 });
+			const gatewayError = await auth.api('lookup', {}).catch(e => e);
+			const rateError = await auth.api('lookup', {}).catch(e => e);
+			const lockoutError = await auth.api('lookup', {}).catch(e => e);
+
+			expect(gatewayError.code).toEqual('INTERNAL_ERROR');
+			expect(gatewayError.status).toEqual(502);
+			expect(gatewayError.retryable).toEqual(true);
+			expect(rateError.code).toEqual('TOO_MANY_ATTEMPTS_TRY_LATER');
+			expect(rateError.retryable).toEqual(true);
+			expect(lockoutError.code).toEqual('TOO_MANY_ATTEMPTS_TRY_LATER');
+			expect(lockoutError.retryable).toEqual(false);
+		});
+
+		test('Network failures are thrown as AuthErrors', async () => {
+			fetch.mockReject(new TypeError('Failed to fetch'));
+
+			const auth = new Auth({ apiKey: 'key', retries: 0 });
+			const error = await auth.api('lookup', {}).catch(e => e);
+
+			expect(error).toBeInstanceOf(AuthError);
+			expect(error.code).toEqual('NETWORK_REQUEST_FAILED');
+			expect(error.message).toEqual('Failed to fetch');
+			expect(error.endpoint).toEqual('lookup');
+			expect(error.retryable).toEqual(true);
+		});
+
+		test('Errors of the library have codes too', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.enforceAuth()).rejects.toMatchObject({ code: 'USER_NOT_SIGNED_IN' });
+			await expect(auth.signInWithProvider('google.com')).rejects.toMatchObject({ code: 'MISSING_REDIRECT_URI' });
+			expect(() => new Auth()).toThrow(AuthError);
+		});
+	});
+
+	describe('Timeouts and retries', () => {
+		const delayedResponse = (ms, body = '{}') => () => new Promise(resolve => setTimeout(() => resolve(body), ms));
+
+		test('Aborts requests that take longer than the timeout', async () => {
+			fetch.mockResponse(delayedResponse(100));
+
+			const auth = new Auth({ apiKey: 'key', timeout: 10, retries: 0 });
+			const error = await auth.api('lookup', {}).catch(e => e);
+
+			expect(error).toBeInstanceOf(AuthError);
+			expect(error.code).toEqual('REQUEST_TIMEOUT');
+			expect(error.retryable).toEqual(true);
+		});
+
+		test('The timeout can be overridden per call', async () => {
+			fetch.mockResponse(delayedResponse(50, '{"email": "test@example.com"}'));
+
+			const auth = new Auth({ apiKey: 'key', timeout: 10, retries: 0 });
+
+			await expect(auth.resetPassword('code', undefined, { timeout: 1000 })).resolves.toEqual('test@example.com');
+		});
+
+		test('Aborts requests when the signal is aborted', async () => {
+			fetch.mockResponse(delayedResponse(100));
+
+			const auth = new Auth({ apiKey: 'key' });
+			const controller = new AbortController();
+			const request = auth.signIn('email', 'password', { signal: controller.signal });
+			controller.abort();
+
+			await expect(request).rejects.toMatchObject({ code: 'REQUEST_ABORTED', retryable: false });
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+
+		test('Retries idempotent requests that failed temporarily', async () => {
+			fetch.mockResponses(['', { status: 503 }], ['', { status: 503 }], '{"email": "test@example.com"}');
+
+			const auth = new Auth({ apiKey: 'key', retryDelay: 1 });
+			await auth.api('signInWithPassword', {});
+
+			expect(fetch.mock.calls.length).toEqual(3);
+		});
+
+		test('Gives up after the configured amount of retries', async () => {
+			fetch.mockReject(new TypeError('Failed to fetch'));
+
+			const auth = new Auth({ apiKey: 'key', retries: 1, retryDelay: 1 });
+			const error = await auth.api('lookup', {}).catch(e => e);
+
+			expect(error.code).toEqual('NETWORK_REQUEST_FAILED');
+			expect(fetch.mock.calls.length).toEqual(2);
+		});
+
+		test("Doesn't retry requests with side effects", async () => {
+			fetch.mockResponse('', { status: 503 });
+
+			const auth = new Auth({ apiKey: 'key', retryDelay: 1 });
+			const error = await auth.signUp('email', 'password').catch(e => e);
+
+			expect(error.status).toEqual(503);
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+
+		test('Retries rate limited requests after the time in the "Retry-After" header', async () => {
+			fetch.mockResponses(
+				[
+					'{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}',
+					{ status: 429, headers: { 'Retry-After': '0.01' } }
+				],
+				'{}'
+			);
+
+			const auth = new Auth({ apiKey: 'key', retryDelay: 60 * 1000 });
+			await auth.api('sendOobCode', {});
+
+			expect(fetch.mock.calls.length).toEqual(2);
+		});
+
+		test("Doesn't retry rate limited requests without a \"Retry-After\" header", async () => {
+			fetch.mockResponse('{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}', { status: 400 });
+
+			const auth = new Auth({ apiKey: 'key', retryDelay: 1 });
+			const error = await auth.api('lookup', {}).catch(e => e);
+
+			expect(error.code).toEqual('TOO_MANY_ATTEMPTS_TRY_LATER');
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+
+		test('Waits at most 30 seconds, even when the "Retry-After" header asks for longer', async () => {
+			jest.useFakeTimers('modern');
+			fetch.mockResponses(
+				['{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}', { status: 429, headers: { 'Retry-After': '3600' } }],
+				'{}'
+			);
+
+			const auth = new Auth({ apiKey: 'key' });
+			const request = auth.api('lookup', {});
+			await flushPromises();
+			jest.advanceTimersByTime(30 * 1000);
+
+			await expect(request).resolves.toEqual({});
+			expect(fetch.mock.calls.length).toEqual(2);
+			jest.useRealTimers();
+		});
+
+		test('The "Retry-After" header is exposed on the error', async () => {
+			fetch.mockResponse('{"error": {"message": "TOO_MANY_ATTEMPTS_TRY_LATER"}}', {
+				status: 429,
+				headers: { 'Retry-After': '30' }
+			});
+
+			const auth = new Auth({ apiKey: 'key', retries: 0 });
+			const error = await auth.api('signUp', {}).catch(e => e);
+
+			expect(error.retryAfter).toEqual(30 * 1000);
+		});
+	});
+
+	describe('api() with an emulator', () => {
+		test('Sends the requests to the emulator', async () => {
+			const auth = new Auth({ apiKey: 'key', emulator: 'http://localhost:9099/' });
+
+			fetch.mockResponse('{}');
+
+			await auth.api('signInWithPassword', {});
+			await auth.api('mfaSignIn:start', {});
+			await auth.api('token', {});
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'http://localhost:9099/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=key'
+			);
+			expect(fetch.mock.calls[1][0]).toEqual(
+				'http://localhost:9099/identitytoolkit.googleapis.com/v2/accounts/mfaSignIn:start?key=key'
+			);
+			expect(fetch.mock.calls[2][0]).toEqual('http://localhost:9099/securetoken.googleapis.com/v1/token?key=key');
+		});
+
+		test('Calculates the expiration time without a "date" header', async () => {
+			const auth = new Auth({ apiKey: 'key', emulator: 'http://localhost:9099' });
+
+			fetch.mockResponse('{}');
+
+			const before = Date.now();
+			const { expiresAt } = await auth.api('token', {});
+
+			expect(expiresAt).toBeGreaterThanOrEqual(before + 3600 * 1000);
+			expect(expiresAt).toBeLessThanOrEqual(Date.now() + 3600 * 1000);
+		});
+	});
+
 	describe('enforceAuth()', () => {
 		test('Throws when the user is not signed-in', async () => {
 			const auth = new Auth({ apiKey: 'key' });
@@ -576,294 +944,1895 @@ describe('Auth', () => {
 		});
 	});
 
-	describe('AuthorizedRequest()', () => {
-		test('Adds Authorization headers when the user is signed-in.', async () => {
-			// The constructor makes some requests.
-			// We have to mock them for this not to throw
-			fetch.mockResponse('{}');
-
+	describe('on()', () => {
+		test('Listeners are called with the data of their event only', () => {
 			const auth = new Auth({ apiKey: 'key' });
 
-			await mockLoggedIn(auth);
+			const listener1 = jest.fn(() => {});
+			const listener2 = jest.fn(() => {});
 
-			await auth.authorizedRequest('http://google.com');
+			auth.on('tokenRefresh', listener1);
+			auth.on('somethingElse', listener2);
+			auth.emit('tokenRefresh', 'data');
 
-			const headers = fetch.mock.calls[0][0].headers;
+			expect(listener1).toHaveBeenCalledWith('data');
+			expect(listener2).toHaveBeenCalledTimes(0);
+		});
 
-			expect(headers.get('Authorization')).toEqual('Bearer idTokenString');
+		test('Returns a function to remove the listener', () => {
+			const auth = new Auth({ apiKey: 'key' });
+			const listener = jest.fn(() => {});
+
+			auth.on('tokenRefresh', listener)();
+			auth.emit('tokenRefresh');
+
+			expect(listener).toHaveBeenCalledTimes(0);
 		});
 
-		test("Doesn't change the request when the user is not signed-in", async () => {
-			// The constructor makes some requests.
-			// We have to mock them for this not to throw
-			fetch.mockResponse('{}');
+		test('"tokenRefresh" is triggered when the token is refreshed', async () => {
+			fetch.mockResponse('{"refresh_token": "updated", "id_token": "updated"}');
 
 			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			auth.user = { tokenManager: { idToken: 'idTokenString', expiresAt: Date.now() - 1000 } };
 
-			const request = new Request('http://google.com');
-			await auth.authorizedRequest(request);
+			const listener = jest.fn(() => {});
+			auth.on('tokenRefresh', listener);
+			await auth.refreshIdToken();
 
-			expect(fetch.mock.calls[0][0]).toBe(request);
+			expect(listener).toHaveBeenCalledWith({ user: auth.user, reason: 'TOKEN_EXPIRED' });
+			expect(auth.user.tokenManager.idToken).toEqual('updated');
 		});
 	});
 
-	describe('signInWithCustomToken()', () => {
-		test('Makes the right request', async () => {
-			const auth = new Auth({ apiKey: 'key' });
+	describe('Lifecycle events', () => {
+		// A token that says the user signed in with a password.
+		const passwordToken = 'header.' + btoa(JSON.stringify({ firebase: { sign_in_provider: 'password' } })) + '.sig';
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+		test('"signIn" is triggered with the provider when a user signs in', async () => {
+			fetch.mockResponses(`{ "idToken": "${passwordToken}" }`, '{"users": [{ "localId": "1" }]}');
 
-			await auth.signInWithCustomToken('token123');
-			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+			const auth = new Auth({ apiKey: 'key' });
+			const listener = jest.fn();
+			auth.on('signIn', listener);
+			await auth.signIn('email', 'password');
 
-			expect(requestBody).toEqual({
-				token: 'token123',
-				returnSecureToken: true
-			});
+			expect(listener).toHaveBeenCalledWith({ user: auth.user, reason: 'password' });
 		});
 
-		test('Updates the userData', async () => {
+		test('"profileUpdate" is triggered when the profile of the same user changes', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
-			await auth.signInWithCustomToken('token123');
+			const signIn = jest.fn();
+			const profileUpdate = jest.fn();
+			auth.on('signIn', signIn);
+			auth.on('profileUpdate', profileUpdate);
 
-			expect(auth.user.updated).toEqual(true);
+			fetch.mockResponse('{"users": [{ "displayName": "name" }]}');
+			await auth.fetchProfile();
+			expect(profileUpdate).toHaveBeenLastCalledWith({ user: auth.user, reason: 'PROFILE_FETCHED' });
+
+			fetch.mockResponse('{ "displayName": "other" }');
+			await auth.updateProfile({ displayName: 'other' });
+			expect(profileUpdate).toHaveBeenLastCalledWith({ user: auth.user, reason: 'PROFILE_UPDATED' });
+
+			expect(signIn).toHaveBeenCalledTimes(0);
 		});
-	});
 
-	describe('signInWithProvider()', () => {
-		test("Throws if a redirect URI wasn't provided on instantiation", async () => {
+		test('"signOut" is triggered with the reason', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
 
-			await expect(auth.signInWithProvider()).rejects.toThrow(
-				'In order to use an Identity provider, you should initiate the "Auth" instance with a "redirectUri".'
-			);
-		});
+			const listener = jest.fn();
+			auth.on('signOut', listener);
+			await auth.signOut();
 
-		test('Enforces signed-in user when performing a "linkAccount"', async () => {
-			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			expect(listener).toHaveBeenCalledWith({ user: mockUserData, reason: 'USER_SIGN_OUT' });
 
-			await expect(auth.signInWithProvider({ provider: 'google.com', linkAccount: true })).rejects.toThrow(
-				'The user must be signed-in to use this method.'
-			);
+			// Nothing happens when nobody is signed in.
+			await auth.signOut();
+			expect(listener).toHaveBeenCalledTimes(1);
 		});
 
-		test('Makes correct requests', async () => {
-			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
-
-			fetch.mockResponse(
-				`{
-					"kind": "identitytoolkit#CreateAuthUriResponse",
-					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
-					"providerId": "google.com",
-					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
-				}`
-			);
+		test('"signOut" is triggered when the account is deleted', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
 
-			await auth.signInWithProvider('google.com');
-			const body = fetch.mock.calls[0][1].body;
+			const listener = jest.fn();
+			auth.on('signOut', listener);
+			fetch.mockResponse('{}');
+			await auth.deleteAccount();
 
-			expect(body).toEqual(
-				JSON.stringify({
-					continueUri: 'redirectHere',
-					authFlowType: 'CODE_FLOW',
-					providerId: 'google.com'
-				})
-			);
+			expect(listener).toHaveBeenCalledWith({ user: mockUserData, reason: 'ACCOUNT_DELETED' });
 		});
 
-		test('Saves the correct data to storage', async () => {
-			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
-
-			fetch.mockResponse(
-				`{
-					"kind": "identitytoolkit#CreateAuthUriResponse",
-					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
-					"providerId": "google.com",
-					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
-				}`
-			);
+		test('"signOut" is triggered when the stored session expired', async () => {
+			localStorage.setItem('Auth:User:key:default', JSON.stringify(mockUserData));
+			fetch.mockResponse('{"error": {"message": "TOKEN_EXPIRED"}}', { status: 400 });
 
-			await auth.signInWithProvider('google.com');
+			const auth = new Auth({ apiKey: 'key' });
+			const reason = await new Promise(resolve => auth.on('signOut', e => resolve(e.reason)));
 
-			expect(await auth.storage.get('Auth:SessionId:key:default')).toEqual('LwtaMnW9snPfIfm9R1rPTosVpY4');
-			expect(await auth.storage.get('Auth:LinkAccount:key:default')).toEqual(null);
+			expect(reason).toEqual('TOKEN_EXPIRED');
+			expect(auth.user).toEqual(null);
 		});
 
-		test('Redirects to the received authUri', async () => {
-			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
-
-			fetch.mockResponse(
-				`{
-					"kind": "identitytoolkit#CreateAuthUriResponse",
-					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
-					"providerId": "google.com",
-					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
-				}`
-			);
+		test('"error" is triggered when the stored session fails to load', async () => {
+			localStorage.setItem('Auth:User:key:default', JSON.stringify(mockUserData));
+			fetch.mockResponse('{"error": {"message": "OPERATION_NOT_ALLOWED"}}', { status: 400 });
 
-			await auth.signInWithProvider('google.com');
+			const auth = new Auth({ apiKey: 'key' });
+			const { error, reason } = await new Promise(resolve => auth.on('error', resolve));
 
-			expect(window.location.href).toEqual(
-				'https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email'
-			);
+			expect(error.code).toEqual('OPERATION_NOT_ALLOWED');
+			expect(reason).toEqual('INITIALIZATION');
 		});
-	});
 
-	describe('signUp()', () => {
-		test('Makes the right request', async () => {
+		test('"externalChange" is triggered when the user is changed in another tab', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			const listener = jest.fn();
+			auth.on('externalChange', listener);
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			const mockEvent = new Event('storage');
+			mockEvent.key = 'Auth:User:key:default';
+			mockEvent.oldValue = null;
+			mockEvent.newValue = JSON.stringify(mockUserData);
+			window.dispatchEvent(mockEvent);
+			await new Promise(resolve => setTimeout(resolve));
 
-			await auth.signUp('email', 'password');
+			expect(listener).toHaveBeenCalledWith({ user: mockUserData, reason: 'SIGN_IN' });
+		});
+
+		test('listen() is still called on every change', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+
+			const listener = jest.fn();
+			auth.listen(listener);
+			await auth.signOut();
+
+			expect(listener).toHaveBeenCalledWith(null);
+		});
+	});
+
+	describe('Background token refresh', () => {
+		const expiringUser = () => ({
+			tokenManager: { idToken: 'idTokenString', expiresAt: Date.now() + 10 * 60 * 1000 }
+		});
+
+		beforeEach(() => jest.useFakeTimers());
+		afterEach(() => {
+			jest.useRealTimers();
+			delete document.visibilityState;
+		});
+
+		test('Refreshes the token 5 minutes before it expires', async () => {
+			fetch.mockResponse('{"refresh_token": "updated", "id_token": "updated"}');
+
+			const auth = new Auth({ apiKey: 'key', autoRefresh: true });
+			await mockLoggedIn(auth);
+			await auth.setState(expiringUser(), false);
+
+			jest.advanceTimersByTime(4 * 60 * 1000);
+			expect(fetch.mock.calls.length).toEqual(0);
+
+			jest.advanceTimersByTime(60 * 1000);
+			await flushPromises();
+
+			expect(fetch.mock.calls[0][0]).toEqual('https://securetoken.googleapis.com/v1/token?key=key');
+			expect(auth.user.tokenManager.idToken).toEqual('updated');
+		});
+
+		test("Doesn't refresh when the option is disabled", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			await auth.setState(expiringUser(), false);
+
+			jest.advanceTimersByTime(10 * 60 * 1000);
+
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test('Stops when the user signs out', async () => {
+			const auth = new Auth({ apiKey: 'key', autoRefresh: true });
+			await mockLoggedIn(auth);
+			await auth.setState(expiringUser(), false);
+			await auth.signOut();
+
+			jest.advanceTimersByTime(10 * 60 * 1000);
+
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test('Pauses while the page is hidden, and catches up when visible', async () => {
+			fetch.mockResponse('{"refresh_token": "updated", "id_token": "updated"}');
+			Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+
+			const auth = new Auth({ apiKey: 'key', autoRefresh: true });
+			await mockLoggedIn(auth);
+			await auth.setState(expiringUser(), false);
+
+			jest.advanceTimersByTime(10 * 60 * 1000);
+			expect(fetch.mock.calls.length).toEqual(0);
+
+			Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+			document.dispatchEvent(new Event('visibilitychange'));
+			jest.advanceTimersByTime(5 * 60 * 1000);
+			await flushPromises();
+
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+	});
+
+	describe('Session policies', () => {
+		const signedInUser = (signedInAt = Date.now()) => ({ ...mockUserData, signedInAt });
+
+		beforeEach(() => jest.useFakeTimers('modern'));
+		afterEach(() => jest.useRealTimers());
+
+		test('Records when the user signed in, and keeps it when the profile is fetched again', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{"users": [{ "localId": "1" }]}');
+
+			await auth.fetchProfile({ idToken: 'idToken' });
+			const { signedInAt } = auth.user;
+			jest.advanceTimersByTime(60 * 1000);
+			await auth.fetchProfile();
+
+			expect(signedInAt).toEqual(Date.now() - 60 * 1000);
+			expect(auth.user.signedInAt).toEqual(signedInAt);
+		});
+
+		test('Starts a new session when the same account signs in again', async () => {
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			const onSignIn = jest.fn();
+			auth.on('signIn', onSignIn);
+			await mockLoggedIn(auth);
+			auth.user = { ...signedInUser(Date.now() - 30 * 60 * 1000), localId: '1' };
+			fetch.mockResponses('{ "localId": "1", "idToken": "idToken" }', '{"users": [{ "localId": "1" }]}');
+
+			await auth.signIn('test@example.com', 'password');
+
+			expect(auth.user.signedInAt).toEqual(Date.now());
+			expect(onSignIn).toHaveBeenCalledTimes(1);
+		});
+
+		test('Keeps the session when a credential is linked to the account', async () => {
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			const onSignIn = jest.fn();
+			auth.on('signIn', onSignIn);
+			await mockLoggedIn(auth);
+			const signedInAt = Date.now() - 30 * 60 * 1000;
+			auth.user = { ...signedInUser(signedInAt), localId: '1' };
+			fetch.mockResponses('{ "localId": "1", "idToken": "idToken" }', '{"users": [{ "localId": "1" }]}');
+
+			await auth.signInWithCredential({ providerId: 'google.com', idToken: 'googleToken', linkAccount: true });
+
+			expect(auth.user.signedInAt).toEqual(signedInAt);
+			expect(onSignIn).not.toHaveBeenCalled();
+		});
+
+		test('Signs out when the session is older than "maxSessionAge"', async () => {
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			const onSignOut = jest.fn();
+			auth.on('signOut', onSignOut);
+			await mockLoggedIn(auth);
+			await auth.setState(signedInUser(), false);
+			await flushPromises();
+
+			jest.advanceTimersByTime(59 * 60 * 1000);
+			await flushPromises();
+			expect(auth.user).not.toEqual(null);
+
+			jest.advanceTimersByTime(60 * 1000);
+			await flushPromises();
+
+			expect(auth.user).toEqual(null);
+			expect(onSignOut).toHaveBeenCalledWith({
+				user: signedInUser(Date.now() - 60 * 60 * 1000),
+				reason: 'SESSION_EXPIRED'
+			});
+		});
+
+		test('Signs out after "idleTimeout" without activity', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000, activityEvents: ['mousedown'] });
+			const onSignOut = jest.fn();
+			auth.on('signOut', onSignOut);
+			await mockLoggedIn(auth);
+			await auth.setState(signedInUser(), false);
+			await flushPromises();
+
+			// Activity pushes the timeout back.
+			jest.advanceTimersByTime(8 * 60 * 1000);
+			window.dispatchEvent(new Event('mousedown'));
+			await flushPromises();
+			jest.advanceTimersByTime(8 * 60 * 1000);
+			await flushPromises();
+			expect(auth.user).not.toEqual(null);
+
+			jest.advanceTimersByTime(2 * 60 * 1000);
+			await flushPromises();
+
+			expect(auth.user).toEqual(null);
+			expect(onSignOut.mock.calls[0][0].reason).toEqual('IDLE_TIMEOUT');
+			expect(localStorage.getItem('Auth:LastActive:key:default')).toEqual(null);
+		});
+
+		test('Signs out expired sessions only once when they are restored', async () => {
+			const user = signedInUser(Date.now() - 2 * 60 * 60 * 1000);
+			localStorage.setItem('Auth:User:key:default', JSON.stringify(user));
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			const onSignOut = jest.fn();
+			auth.on('signOut', onSignOut);
+
+			await flushPromises();
+
+			expect(auth.user).toEqual(null);
+			expect(onSignOut).toHaveBeenCalledTimes(1);
+			expect(onSignOut).toHaveBeenCalledWith({ user, reason: 'SESSION_EXPIRED' });
+		});
+
+		test('Signs out expired sessions only once when tokens are requested at the same time', async () => {
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			const onSignOut = jest.fn();
+			auth.on('signOut', onSignOut);
+			await mockLoggedIn(auth);
+			auth.user = signedInUser(Date.now() - 2 * 60 * 60 * 1000);
+
+			const results = await Promise.all([auth.getToken().catch(e => e), auth.getToken().catch(e => e)]);
+
+			expect(results.map(error => error.code)).toEqual(['SESSION_EXPIRED', 'SESSION_EXPIRED']);
+			expect(onSignOut).toHaveBeenCalledTimes(1);
+		});
+
+		test('Times out restored sessions without recorded activity', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			await mockLoggedIn(auth);
+			auth.user = signedInUser(Date.now() - 60 * 60 * 1000);
+
+			expect(await auth.checkSession()).toEqual('IDLE_TIMEOUT');
+			expect(auth.user).toEqual(null);
+		});
+
+		test('Keeps the last activity when the persistence changes', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			await mockLoggedIn(auth);
+			await auth.setState(signedInUser(), false);
+			jest.advanceTimersByTime(5 * 60 * 1000);
+			await auth.markActive();
+
+			await auth.setPersistence('session');
+			jest.advanceTimersByTime(7 * 60 * 1000);
+			await flushPromises();
+
+			expect(sessionStorage.getItem('Auth:LastActive:key:default')).toEqual(String(Date.now() - 7 * 60 * 1000));
+			expect(auth.user).not.toEqual(null);
+			sessionStorage.clear();
+		});
+
+		test('Other tabs report why the session expired', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			const otherTab = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			const onSignOut = jest.fn();
+			otherTab.on('signOut', onSignOut);
+			await Promise.all([mockLoggedIn(auth), mockLoggedIn(otherTab)]);
+			await auth.signOut('IDLE_TIMEOUT');
+
+			const mockEvent = new Event('storage');
+			mockEvent.key = 'Auth:User:key:default';
+			mockEvent.oldValue = JSON.stringify(mockUserData);
+			mockEvent.newValue = null;
+			window.dispatchEvent(mockEvent);
+			await flushPromises();
+
+			expect(otherTab.user).toEqual(null);
+			expect(onSignOut).toHaveBeenCalledWith({ user: mockUserData, reason: 'IDLE_TIMEOUT' });
+		});
+
+		test("Other tabs don't report sign-outs of the user as expired sessions", async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			const otherTab = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			const onSignOut = jest.fn();
+			otherTab.on('signOut', onSignOut);
+			await Promise.all([mockLoggedIn(auth), mockLoggedIn(otherTab)]);
+			await auth.signOut();
+
+			const mockEvent = new Event('storage');
+			mockEvent.key = 'Auth:User:key:default';
+			mockEvent.oldValue = JSON.stringify(mockUserData);
+			mockEvent.newValue = null;
+			window.dispatchEvent(mockEvent);
+			await flushPromises();
+
+			expect(otherTab.user).toEqual(null);
+			expect(onSignOut).not.toHaveBeenCalled();
+		});
+
+		test('Counts the activity of other tabs', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			await mockLoggedIn(auth);
+			await auth.setState(signedInUser(), false);
+			await flushPromises();
+
+			jest.advanceTimersByTime(8 * 60 * 1000);
+			localStorage.setItem('Auth:LastActive:key:default', String(Date.now()));
+			jest.advanceTimersByTime(2 * 60 * 1000);
+			await flushPromises();
+
+			expect(auth.user).not.toEqual(null);
+		});
+
+		test('Authorized requests count as activity', async () => {
+			const auth = new Auth({ apiKey: 'key', idleTimeout: 10 * 60 * 1000 });
+			await mockLoggedIn(auth);
+			auth.user = signedInUser();
+
+			jest.advanceTimersByTime(5 * 60 * 1000);
+			await auth.authorizedRequest('http://google.com');
+
+			expect(localStorage.getItem('Auth:LastActive:key:default')).toEqual(String(Date.now()));
+		});
+
+		test('Rejects expired sessions when the token is used', async () => {
+			const auth = new Auth({ apiKey: 'key', maxSessionAge: 60 * 60 * 1000 });
+			await mockLoggedIn(auth);
+			auth.user = signedInUser(Date.now() - 2 * 60 * 60 * 1000);
+
+			await expect(auth.getToken()).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+			expect(auth.user).toEqual(null);
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+	});
+
+	describe('Revocation', () => {
+		afterEach(() => jest.useRealTimers());
+
+		test('Signs out when the stored account was disabled', async () => {
+			localStorage.setItem('Auth:User:key:default', JSON.stringify(mockUserData));
+			fetch.mockResponse('{"error": {"message": "USER_DISABLED"}}', { status: 400 });
+
+			const auth = new Auth({ apiKey: 'key' });
+			const { user, reason } = await new Promise(resolve => auth.on('revoked', resolve));
+
+			expect(user).toEqual(mockUserData);
+			expect(reason).toEqual('USER_DISABLED');
+			expect(auth.user).toEqual(null);
+		});
+
+		test('Signs out when a request made with the credentials of the user is rejected', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			const onSignOut = jest.fn();
+			const onRevoked = jest.fn();
+			auth.on('signOut', onSignOut);
+			auth.on('revoked', onRevoked);
+			await mockLoggedIn(auth);
+			fetch.mockResponse('{"error": {"message": "USER_NOT_FOUND"}}', { status: 400 });
+
+			await expect(auth.fetchProfile()).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+
+			expect(auth.user).toEqual(null);
+			expect(onSignOut).toHaveBeenCalledWith({ user: mockUserData, reason: 'USER_NOT_FOUND' });
+			expect(onRevoked).toHaveBeenCalledWith({ user: mockUserData, reason: 'USER_NOT_FOUND' });
+		});
+
+		test("Doesn't sign out when the request didn't use the credentials of the user", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponse('{"error": {"message": "USER_DISABLED"}}', { status: 400 });
+
+			await expect(auth.signIn('other@example.com', 'password')).rejects.toMatchObject({ code: 'USER_DISABLED' });
+
+			expect(auth.user).toEqual(mockUserData);
+		});
+
+		test('Looks up the account every "revocationCheckInterval"', async () => {
+			jest.useFakeTimers('modern');
+			const auth = new Auth({ apiKey: 'key', revocationCheckInterval: 60 * 1000 });
+			const onRevoked = jest.fn();
+			auth.on('revoked', onRevoked);
+			await mockLoggedIn(auth);
+			await auth.setState(mockUserData, false);
+			fetch.mockResponses('{"users": [{}]}', ['{"error": {"message": "INVALID_ID_TOKEN"}}', { status: 400 }]);
+
+			jest.advanceTimersByTime(60 * 1000);
+			await flushPromises();
+			expect(fetch.mock.calls[0][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=key');
+			expect(auth.user).toEqual(mockUserData);
+
+			jest.advanceTimersByTime(60 * 1000);
+			await flushPromises();
+
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(auth.user).toEqual(null);
+			expect(onRevoked.mock.calls[0][0].reason).toEqual('INVALID_ID_TOKEN');
+		});
+	});
+
+	describe('getToken()', () => {
+		test('Throws when the user is not signed-in', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await expect(auth.getToken()).rejects.toThrow('The user must be signed-in to use this method.');
+		});
+
+		test('Returns the token without refreshing it when valid', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+
+			expect(await auth.getToken()).toEqual('idTokenString');
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test('Forces a single refresh for concurrent calls', async () => {
+			fetch.mockResponse('{"refresh_token": "updated", "id_token": "updated"}');
+
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+
+			const tokens = await Promise.all([auth.getToken(true), auth.getToken(true)]);
+
+			expect(tokens).toEqual(['updated', 'updated']);
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+	});
+
+	describe('getIdTokenResult()', () => {
+		// `btoa` only accepts binary strings, so the UTF-8 characters are encoded first.
+		const encode = object => btoa(unescape(encodeURIComponent(JSON.stringify(object)))).replace(/=+$/, '');
+		const claims = {
+			exp: 1600003600,
+			iat: 1600000000,
+			auth_time: 1599990000,
+			name: 'Jöhn',
+			admin: true,
+			firebase: { sign_in_provider: 'password', sign_in_second_factor: 'phone', tenant: 'tenant-1' }
+		};
+
+		test('Returns the decoded claims', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+
+			const token = `${encode({ alg: 'none' })}.${encode(claims)}.`;
+			auth.user = { ...mockUserData, tokenManager: { ...mockUserData.tokenManager, idToken: token } };
+
+			expect(await auth.getIdTokenResult()).toEqual({
+				token,
+				claims,
+				expirationTime: 1600003600000,
+				issuedAtTime: 1600000000000,
+				authTime: 1599990000000,
+				signInProvider: 'password',
+				signInSecondFactor: 'phone',
+				tenant: 'tenant-1'
+			});
+		});
+	});
+
+	describe('AuthorizedRequest()', () => {
+		test('Adds Authorization headers when the user is signed-in.', async () => {
+			// The constructor makes some requests.
+			// We have to mock them for this not to throw
+			fetch.mockResponse('{}');
+
+			const auth = new Auth({ apiKey: 'key' });
+
+			await mockLoggedIn(auth);
+
+			await auth.authorizedRequest('http://google.com');
+
+			const headers = fetch.mock.calls[0][0].headers;
+
+			expect(headers.get('Authorization')).toEqual('Bearer idTokenString');
+		});
+
+		test("Doesn't change the request when the user is not signed-in", async () => {
+			// The constructor makes some requests.
+			// We have to mock them for this not to throw
+			fetch.mockResponse('{}');
+
+			const auth = new Auth({ apiKey: 'key' });
+
+			const request = new Request('http://google.com');
+			await auth.authorizedRequest(request);
+
+			expect(fetch.mock.calls[0][0]).toBe(request);
+		});
+	});
+
+	describe('signInWithCustomToken()', () => {
+		test('Makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+
+			await auth.signInWithCustomToken('token123');
 			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
 
 			expect(requestBody).toEqual({
-				email: 'email',
-				password: 'password',
+				token: 'token123',
 				returnSecureToken: true
 			});
 		});
 
-		test('Updates the userData', async () => {
+		test('Updates the userData', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.signInWithCustomToken('token123');
+
+			expect(auth.user.updated).toEqual(true);
+		});
+	});
+
+	describe('signInWithProvider()', () => {
+		test("Throws if a redirect URI wasn't provided on instantiation", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.signInWithProvider()).rejects.toThrow(
+				'In order to use an Identity provider, you should initiate the "Auth" instance with a "redirectUri".'
+			);
+		});
+
+		test('Enforces signed-in user when performing a "linkAccount"', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+
+			await expect(auth.signInWithProvider({ provider: 'google.com', linkAccount: true })).rejects.toThrow(
+				'The user must be signed-in to use this method.'
+			);
+		});
+
+		test('Makes correct requests', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
+
+			fetch.mockResponse(
+				`{
+					"kind": "identitytoolkit#CreateAuthUriResponse",
+					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
+					"providerId": "google.com",
+					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
+				}`
+			);
+
+			await auth.signInWithProvider('google.com');
+			const body = fetch.mock.calls[0][1].body;
+
+			expect(body).toEqual(
+				JSON.stringify({
+					continueUri: 'redirectHere',
+					authFlowType: 'CODE_FLOW',
+					providerId: 'google.com'
+				})
+			);
+		});
+
+		test('Sends scopes and custom parameters', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse('{ "authUri": "https://provider.com/auth", "sessionId": "sessionId" }');
+
+			await auth.signInWithProvider({
+				provider: 'microsoft.com',
+				oauthScope: ['email', 'profile'],
+				customParameters: { prompt: 'select_account', login_hint: 'test@example.com' }
+			});
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				continueUri: 'redirectHere',
+				authFlowType: 'CODE_FLOW',
+				providerId: 'microsoft.com',
+				oauthScope: 'email profile',
+				customParameter: { prompt: 'select_account', login_hint: 'test@example.com' }
+			});
+		});
+
+		test('Throws when the provider is missing', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+
+			await expect(auth.signInWithProvider()).rejects.toMatchObject({ code: 'MISSING_PROVIDER' });
+			await expect(auth.signInWithProvider('')).rejects.toMatchObject({ code: 'MISSING_PROVIDER' });
+			await expect(auth.signInWithProvider({ oauthScope: 'email' })).rejects.toMatchObject({
+				code: 'MISSING_PROVIDER'
+			});
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test("Doesn't send scopes to SAML providers", async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse('{ "authUri": "https://provider.com/auth", "sessionId": "sessionId" }');
+
+			await auth.signInWithProvider({ provider: 'saml.example', oauthScope: 'email' });
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).oauthScope).toEqual(undefined);
+		});
+
+		test('Saves the correct data to storage', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
+
+			fetch.mockResponse(
+				`{
+					"kind": "identitytoolkit#CreateAuthUriResponse",
+					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
+					"providerId": "google.com",
+					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
+				}`
+			);
+
+			await auth.signInWithProvider('google.com');
+
+			expect(await auth.storage.get('Auth:SessionId:key:default')).toEqual('LwtaMnW9snPfIfm9R1rPTosVpY4');
+			expect(await auth.storage.get('Auth:LinkAccount:key:default')).toEqual(null);
+		});
+
+		test('Redirects to the received authUri', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', providers: ['google.com'] });
+
+			fetch.mockResponse(
+				`{
+					"kind": "identitytoolkit#CreateAuthUriResponse",
+					"authUri": "https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email",
+					"providerId": "google.com",
+					"sessionId": "LwtaMnW9snPfIfm9R1rPTosVpY4"
+				}`
+			);
+
+			await auth.signInWithProvider('google.com');
+
+			expect(window.location.href).toEqual(
+				'https://accounts.google.com/o/oauth2/auth?response_type=code&client_id=831650550875-vuv36e1i0shmu456i1l08rg3vgjhnlhg.apps.googleusercontent.com&redirect_uri=redirectUri&state=state&scope=openid+https://www.googleapis.com/auth/userinfo.email'
+			);
+		});
+	});
+
+	describe('OAuth flow validation', () => {
+		beforeEach(() => {
+			window.opener = null;
+		});
+
+		test('Ignores callbacks when no flow was started', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			window.location.href = 'redirectHere?code=123&state=flowState';
+
+			expect(await auth.handleSignInRedirect()).toEqual(undefined);
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test('Stores the state of the flow, and removes all of its data when it is finished', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithProvider({ provider: 'google.com', linkAccount: false });
+			expect(JSON.parse(await auth.storage.get('Auth:OAuthFlow:key:default')).state).toEqual('flowState');
+
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			await auth.handleSignInRedirect();
+
+			expect(fetch.mock.calls.length).toEqual(3);
+			const keys = ['OAuthFlow', 'SessionId', 'LinkAccount', 'Reauthenticate'];
+			const values = await Promise.all(keys.map(key => auth.storage.get(`Auth:${key}:key:default`)));
+			expect(values).toEqual([null, null, null, null]);
+
+			// Replaying the callback does nothing.
+			await auth.handleSignInRedirect();
+			expect(fetch.mock.calls.length).toEqual(3);
+		});
+
+		test('Rejects callbacks with a different state', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse(authUriResponse);
+
+			await auth.signInWithProvider('google.com');
+			window.location.href = 'redirectHere?code=123&state=otherState';
+
+			await expect(auth.handleSignInRedirect()).rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+			expect(fetch.mock.calls.length).toEqual(1);
+			expect(await auth.storage.get('Auth:OAuthFlow:key:default')).toEqual(null);
+			expect(await auth.storage.get('Auth:SessionId:key:default')).toEqual(null);
+		});
+
+		test('Rejects callbacks without a state before exchanging them', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse(authUriResponse);
+
+			await auth.signInWithProvider('google.com');
+			window.location.href = 'redirectHere?code=123';
+
+			await expect(auth.handleSignInRedirect()).rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+			expect(fetch.mock.calls.length).toEqual(1);
+			expect(await auth.storage.get('Auth:OAuthFlow:key:default')).toEqual(null);
+		});
+
+		test('Rejects every callback when the flow has no state', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse('{ "authUri": "https://provider.com/auth", "sessionId": "sessionId" }');
+
+			await auth.signInWithProvider('google.com');
+			window.location.href = 'redirectHere?code=123&state=flowState';
+
+			await expect(auth.handleSignInRedirect()).rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+
+		test('Returns the conflicts of callbacks with a valid state', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(
+				authUriResponse,
+				'{ "errorMessage": "FEDERATED_USER_ID_ALREADY_LINKED", "providerId": "google.com", "pendingToken": "pending" }'
+			);
+
+			await auth.signInWithProvider('google.com');
+			window.location.href = 'redirectHere?code=123&state=flowState';
+
+			expect(await auth.handleSignInRedirect()).toMatchObject({
+				type: 'credentialConflict',
+				code: 'FEDERATED_USER_ID_ALREADY_LINKED'
+			});
+		});
+
+		test('Returns a MfaRequiredResult for callbacks with a valid state', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "mfaPendingCredential": "pending", "mfaInfo": [] }');
+
+			await auth.signInWithProvider('google.com');
+			window.location.href = 'redirectHere?code=123&state=flowState';
+
+			expect(await auth.handleSignInRedirect()).toEqual({
+				type: 'mfaRequired',
+				mfaPendingCredential: 'pending',
+				mfaInfo: []
+			});
+		});
+
+		test('Finishes SAML flows with the POSTed response', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(
+				'{ "authUri": "https://provider.com/saml?RelayState=flowState", "sessionId": "sessionId" }',
+				'{ "idToken": "idToken" }',
+				'{"users": [{}]}'
+			);
+
+			await auth.signInWithProvider('saml.example');
+			window.location.href = 'redirectHere';
+			await auth.handleSignInRedirect({ postBody: 'SAMLResponse=response&RelayState=flowState' });
+
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({
+				requestUri: 'redirectHere',
+				postBody: 'SAMLResponse=response&RelayState=flowState',
+				sessionId: 'sessionId'
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+		});
+
+		test('Rejects SAML responses with a different relay state', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse('{ "authUri": "https://provider.com/saml?RelayState=flowState", "sessionId": "sessionId" }');
+
+			await auth.signInWithProvider('saml.example');
+			window.location.href = 'redirectHere';
+
+			await expect(
+				auth.handleSignInRedirect({ postBody: 'SAMLResponse=response&RelayState=otherState' })
+			).rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+		});
+
+		test('Sends the hash of a nonce to OIDC providers, and the raw nonce when finishing', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithProvider({ provider: 'apple.com', customParameters: { locale: 'en' } });
+			const nonce = await auth.storage.get('Auth:Nonce:key:default');
+			const { customParameter } = JSON.parse(fetch.mock.calls[0][1].body);
+			const hash = require('crypto').createHash('sha256').update(nonce).digest('hex');
+
+			expect(nonce).toMatch(/^[0-9a-f]{64}$/);
+			expect(customParameter).toEqual({ locale: 'en', nonce: hash });
+
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			await auth.handleSignInRedirect();
+
+			expect(JSON.parse(fetch.mock.calls[1][1].body).postBody).toEqual(`code=123&state=flowState&nonce=${nonce}`);
+			expect(await auth.storage.get('Auth:Nonce:key:default')).toEqual(null);
+		});
+
+		test('Sends the nonce along with callbacks in the query string', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithProvider('oidc.example');
+			const nonce = await auth.storage.get('Auth:Nonce:key:default');
+
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			await auth.handleSignInRedirect();
+
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+				requestUri: 'redirectHere?code=123&state=flowState',
+				postBody: `code=123&state=flowState&nonce=${nonce}`,
+				sessionId: 'sessionId',
+				returnSecureToken: true,
+				returnIdpCredential: true
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+		});
+
+		test("Doesn't send a nonce to OAuth providers", async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse(authUriResponse);
+
+			await auth.signInWithProvider('google.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).customParameter).toEqual(undefined);
+			expect(await auth.storage.get('Auth:Nonce:key:default')).toEqual(null);
+		});
+
+		test("Finishes Apple's form_post responses", async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithProvider({ provider: 'apple.com', customParameters: { response_mode: 'form_post' } });
+			const nonce = await auth.storage.get('Auth:Nonce:key:default');
+			window.location.href = 'redirectHere';
+			await auth.handleSignInRedirect({ postBody: 'code=123&id_token=appleToken&state=flowState' });
+
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({
+				requestUri: 'redirectHere',
+				postBody: `code=123&id_token=appleToken&state=flowState&nonce=${nonce}`
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+		});
+
+		test('Rejects callbacks of flows that took too long', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere', flowMaxAge: 1000 });
+			fetch.mockResponse(authUriResponse);
+
+			await auth.signInWithProvider('google.com');
+			const flow = JSON.parse(await auth.storage.get('Auth:OAuthFlow:key:default'));
+			await auth.storage.set('Auth:OAuthFlow:key:default', JSON.stringify({ ...flow, createdAt: Date.now() - 2000 }));
+			window.location.href = 'redirectHere?code=123&state=flowState';
+
+			await expect(auth.handleSignInRedirect()).rejects.toMatchObject({ code: 'OAUTH_FLOW_EXPIRED' });
+			expect(await auth.storage.get('Auth:OAuthFlow:key:default')).toEqual(null);
+		});
+	});
+
+	describe('signInWithPopup()', () => {
+		let popup;
+
+		beforeEach(() => {
+			popup = { closed: false, location: {}, close: jest.fn() };
+			window.open = jest.fn(() => popup);
+		});
+
+		function sendMessage(data, source = popup, origin = location.origin) {
+			const event = new Event('message');
+			Object.assign(event, { data, source, origin });
+			window.dispatchEvent(event);
+		}
+
+		test('Throws when the popup is blocked', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			window.open = jest.fn(() => null);
+
+			await expect(auth.signInWithPopup('google.com')).rejects.toMatchObject({ code: 'POPUP_BLOCKED' });
+		});
+
+		test('Signs in with the URL passed back from the popup', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(
+				authUriResponse,
+				'{ "idToken": "123", "refreshToken": "456", "context": "context" }',
+				'{"users": [{ "updated": true }]}'
+			);
+
+			const promise = auth.signInWithPopup({ provider: 'google.com', context: 'context' });
+			await new Promise(resolve => setTimeout(resolve));
+
+			expect(popup.location.href).toEqual('https://provider.com/auth?state=flowState');
+
+			// Messages from other windows are ignored.
+			sendMessage({ type: 'signInRedirect', url: 'redirectHere?code=wrong' }, window);
+			sendMessage({ type: 'signInRedirect', url: 'redirectHere?code=123&state=flowState' });
+
+			expect(await promise).toMatchObject({ type: 'signIn', context: 'context' });
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+				requestUri: 'redirectHere?code=123&state=flowState',
+				sessionId: 'sessionId',
+				returnSecureToken: true,
+				returnIdpCredential: true
+			});
+			expect(auth.user.updated).toEqual(true);
+			expect(popup.close).toHaveBeenCalled();
+		});
+
+		test('Throws when the popup is closed by the user', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse(authUriResponse);
+
+			popup.closed = true;
+
+			await expect(auth.signInWithPopup('google.com')).rejects.toMatchObject({ code: 'POPUP_CLOSED_BY_USER' });
+		});
+
+		test('Throws when the user takes too long', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse(authUriResponse);
+
+			await expect(auth.signInWithPopup({ provider: 'google.com', timeout: 10 })).rejects.toMatchObject({
+				code: 'POPUP_TIMEOUT'
+			});
+			expect(popup.close).toHaveBeenCalled();
+		});
+
+		test('Stops waiting and closes the popup when the signal is aborted', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			const controller = new AbortController();
+			fetch.mockResponse(authUriResponse);
+
+			const promise = auth.signInWithPopup('google.com', { signal: controller.signal });
+			await new Promise(resolve => setTimeout(resolve));
+			controller.abort();
+
+			await expect(promise).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+			expect(popup.close).toHaveBeenCalled();
+		});
+
+		test('handleSignInRedirect() passes the URL back to the opener', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			const close = jest.spyOn(window, 'close').mockImplementation(() => {});
+
+			window.opener = { postMessage: jest.fn() };
+			window.name = 'Auth:Popup:key:default';
+			window.location.href = 'redirectHere?code=123';
+
+			await auth.handleSignInRedirect();
+
+			expect(window.opener.postMessage).toHaveBeenCalledWith(
+				{ type: 'signInRedirect', url: 'redirectHere?code=123' },
+				location.origin
+			);
+			expect(close).toHaveBeenCalled();
+			expect(fetch.mock.calls.length).toEqual(0);
+
+			window.opener = null;
+			window.name = '';
+			close.mockRestore();
+		});
+
+		test('handleSignInRedirect() finishes redirects in pages that were opened by other pages', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithProvider('google.com');
+			window.opener = { postMessage: jest.fn() };
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			await auth.handleSignInRedirect();
+
+			expect(window.opener.postMessage).not.toHaveBeenCalled();
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+			window.opener = null;
+		});
+	});
+
+	describe('signUp()', () => {
+		test('Makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+
+			await auth.signUp('email', 'password');
+			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+
+			expect(requestBody).toEqual({
+				email: 'email',
+				password: 'password',
+				returnSecureToken: true
+			});
+		});
+
+		test('Updates the userData', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.signUp('email', 'password');
+
+			expect(auth.user.updated).toEqual(true);
+		});
+
+		test('Returns a result for a new user', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			const result = await auth.signUp('email', 'password');
+
+			expect(result).toMatchObject({ type: 'signIn', user: auth.user, credential: null, isNewUser: true });
+			expect(result.additionalUserInfo.isNewUser).toEqual(true);
+		});
+	});
+
+	describe('signIn()', () => {
+		test('Makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+
+			await auth.signIn('email', 'password');
+			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+
+			expect(requestBody).toEqual({
+				email: 'email',
+				password: 'password',
+				returnSecureToken: true
+			});
+		});
+
+		test('Updates the userData', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.signIn('email', 'password');
+
+			expect(auth.user.updated).toEqual(true);
+		});
+
+		test('Returns a result for an existing user', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			const result = await auth.signIn('email', 'password');
+
+			expect(result).toMatchObject({ type: 'signIn', user: auth.user, credential: null, isNewUser: false });
+		});
+	});
+
+	describe('sendVerificationCode()', () => {
+		test('Makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse('{ "sessionInfo": "session" }');
+
+			await auth.sendVerificationCode('+15555550100', 'recaptcha');
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v1/accounts:sendVerificationCode?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				phoneNumber: '+15555550100',
+				recaptchaToken: 'recaptcha'
+			});
+		});
+
+		test('Returns the session info', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse('{ "sessionInfo": "session" }');
+
+			expect(await auth.sendVerificationCode('+15555550100', 'recaptcha')).toEqual('session');
+		});
+	});
+
+	describe('signInWithPhoneNumber()', () => {
+		test('Makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+
+			await auth.signInWithPhoneNumber('session', '123456');
+			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+
+			expect(requestBody).toEqual({
+				sessionInfo: 'session',
+				code: '123456'
+			});
+		});
+
+		test('Updates the userData', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.signInWithPhoneNumber('session', '123456');
+
+			expect(auth.user.updated).toEqual(true);
+		});
+
+		test('Enforces signed-in user when performing a "linkAccount"', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.signInWithPhoneNumber('session', '123456', { linkAccount: true })).rejects.toThrow(
+				'The user must be signed-in to use this method.'
+			);
+		});
+
+		test('Attaches the idToken when performing a "linkAccount"', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+
+			await mockLoggedIn(auth);
+			await auth.signInWithPhoneNumber('session', '123456', { linkAccount: true });
+			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+
+			expect(requestBody.idToken).toEqual('idTokenString');
+		});
+
+		test('Throws when linking a phone number of a different account', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponse('{ "temporaryProof": "proof", "phoneNumber": "+15555550100" }');
+
+			await expect(auth.signInWithPhoneNumber('session', '123456', { linkAccount: true })).rejects.toMatchObject({
+				code: 'CREDENTIAL_ALREADY_IN_USE',
+				message: 'The phone number +15555550100 already belongs to a different account.'
+			});
+			expect(fetch.mock.calls.length).toEqual(1);
+			expect(auth.user).toEqual(mockUserData);
+		});
+	});
+
+	describe('Multi-factor authentication', () => {
+		const mfaResponse = JSON.stringify({
+			mfaPendingCredential: 'pending',
+			mfaInfo: [{ mfaEnrollmentId: 'enrollmentId', phoneInfo: '+*******0100' }]
+		});
+
+		test('signIn() returns the enrolled factors when a second factor is required', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse(mfaResponse);
+			const result = await auth.signIn('email', 'password');
+
+			expect(result).toEqual({
+				type: 'mfaRequired',
+				mfaPendingCredential: 'pending',
+				mfaInfo: [{ mfaEnrollmentId: 'enrollmentId', phoneInfo: '+*******0100' }]
+			});
+			expect(fetch.mock.calls.length).toEqual(1);
+			expect(auth.user).toBeFalsy();
+		});
+
+		test('startMfaSignIn() makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse('{ "phoneResponseInfo": { "sessionInfo": "session" } }');
+			const sessionInfo = await auth.startMfaSignIn('pending', 'enrollmentId', 'recaptcha');
+
+			expect(sessionInfo).toEqual('session');
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v2/accounts/mfaSignIn:start?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				mfaPendingCredential: 'pending',
+				mfaEnrollmentId: 'enrollmentId',
+				phoneSignInInfo: { recaptchaToken: 'recaptcha' }
+			});
+		});
+
+		test('finishMfaSignIn() makes the right request and signs in', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.finishMfaSignIn('pending', { sessionInfo: 'session', code: '123456' });
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v2/accounts/mfaSignIn:finalize?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				mfaPendingCredential: 'pending',
+				phoneVerificationInfo: { sessionInfo: 'session', code: '123456' }
+			});
+			expect(auth.user.updated).toEqual(true);
+		});
+
+		test('startMfaEnrollment() throws when the user is not signed-in', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.startMfaEnrollment('+15555550100', 'recaptcha')).rejects.toThrow(
+				'The user must be signed-in to use this method.'
+			);
+		});
+
+		test('startMfaEnrollment() makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse('{ "phoneSessionInfo": { "sessionInfo": "session" } }');
+			await mockLoggedIn(auth);
+			const sessionInfo = await auth.startMfaEnrollment('+15555550100', 'recaptcha');
+
+			expect(sessionInfo).toEqual('session');
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				phoneEnrollmentInfo: { phoneNumber: '+15555550100', recaptchaToken: 'recaptcha' }
+			});
+		});
+
+		test('enrollMfa() makes the right request and updates the tokens', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "mfaInfo": [] }]}');
+			await mockLoggedIn(auth);
+			await auth.enrollMfa('session', '123456', 'Work phone');
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v2/accounts/mfaEnrollment:finalize?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				displayName: 'Work phone',
+				phoneVerificationInfo: { sessionInfo: 'session', code: '123456' }
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('123');
+			expect(auth.user.mfaInfo).toEqual([]);
+		});
+
+		test('unenrollMfa() makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await mockLoggedIn(auth);
+			await auth.unenrollMfa('enrollmentId');
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v2/accounts/mfaEnrollment:withdraw?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				mfaEnrollmentId: 'enrollmentId'
+			});
+		});
+
+		test('enrollMfa() and unenrollMfa() only store the tokens of the response', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			const response = '{ "kind": "identitytoolkit#response", "idToken": "123", "refreshToken": "456" }';
+			const storedTokens = () => JSON.parse(localStorage.getItem('Auth:User:key:default')).tokenManager;
+
+			fetch.mockResponses(response, '{"users": [{}]}', response, '{"users": [{}]}');
+			await mockLoggedIn(auth);
+
+			await auth.enrollMfa('session', '123456');
+			expect(storedTokens()).toEqual({ idToken: '123', refreshToken: '456', expiresAt: expect.any(Number) });
+
+			await auth.unenrollMfa('enrollmentId');
+			expect(storedTokens()).toEqual({ idToken: '123', refreshToken: '456', expiresAt: expect.any(Number) });
+		});
+
+		test('finishMfaSignIn() verifies TOTP factors by their enrollment ID', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await auth.finishMfaSignIn('pending', { mfaEnrollmentId: 'enrollmentId', code: '123456' });
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				mfaPendingCredential: 'pending',
+				mfaEnrollmentId: 'enrollmentId',
+				totpVerificationInfo: { verificationCode: '123456' }
+			});
+		});
+
+		test('startTotpEnrollment() makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse('{ "totpSessionInfo": {} }');
+			await mockLoggedIn(auth);
+			await auth.startTotpEnrollment('My App');
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v2/accounts/mfaEnrollment:start?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				totpEnrollmentInfo: {}
+			});
+		});
+
+		test('startTotpEnrollment() returns the secret and an otpauth URI', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponse(
+				JSON.stringify({
+					totpSessionInfo: {
+						sharedSecretKey: 'SECRET',
+						verificationCodeLength: 6,
+						hashingAlgorithm: 'SHA1',
+						periodSec: 30,
+						sessionInfo: 'session'
+					}
+				})
+			);
+			await mockLoggedIn(auth);
+
+			expect(await auth.startTotpEnrollment('My App')).toEqual({
+				sessionInfo: 'session',
+				secret: 'SECRET',
+				verificationCodeLength: 6,
+				hashingAlgorithm: 'SHA1',
+				periodSec: 30,
+				uri:
+					'otpauth://totp/My%20App:test%40example.com?secret=SECRET&issuer=My%20App&algorithm=SHA1&digits=6&period=30'
+			});
+		});
+
+		test('enrollTotp() makes the right request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
+			await mockLoggedIn(auth);
+			await auth.enrollTotp('session', '123456', 'Authenticator');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				displayName: 'Authenticator',
+				totpVerificationInfo: { sessionInfo: 'session', verificationCode: '123456' }
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('123');
+		});
+	});
+
+	describe('senbOobCode()', () => {
+		test('Throws when request type is "verify email" but not signed-in', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await expect(auth.sendOobCode('VERIFY_EMAIL')).rejects.toThrow();
+		});
+
+		test('Sends correct request to "verify email"', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+
+			fetch.mockResponse('{}');
+			await mockLoggedIn(auth);
+			await auth.sendOobCode('VERIFY_EMAIL');
+
+			expect(fetch.mock.calls[0][1].body).toEqual(
+				JSON.stringify({
+					idToken: 'idTokenString',
+					requestType: 'VERIFY_EMAIL',
+					email: 'test@example.com',
+					continueUrl: auth.redirectUri
+				})
+			);
+		});
+
+		test('Ignores the email field when making "verify email" request', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+
+			fetch.mockResponse('{}');
+
+			await mockLoggedIn(auth);
+			await auth.sendOobCode('VERIFY_EMAIL', 'myemail@email.com');
+
+			expect(fetch.mock.calls[0][1].body).toEqual(
+				JSON.stringify({
+					idToken: 'idTokenString',
+					requestType: 'VERIFY_EMAIL',
+					email: 'test@example.com',
+					continueUrl: auth.redirectUri
+				})
+			);
+		});
+
+		test('Sends correct request to the other options', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			auth.user = mockUserData;
+
+			fetch.mockResponses('{}', '{}');
+			await auth.sendOobCode('PASSWORD_RESET', 'myemail@email.com');
+			await auth.sendOobCode('EMAIL_SIGNIN', 'myemail@email.com');
+
+			expect(fetch.mock.calls[0][1].body).toEqual(
+				JSON.stringify({
+					requestType: 'PASSWORD_RESET',
+					email: 'myemail@email.com',
+					continueUrl: auth.redirectUri
+				})
+			);
+
+			expect(fetch.mock.calls[1][1].body).toEqual(
+				JSON.stringify({
+					requestType: 'EMAIL_SIGNIN',
+					email: 'myemail@email.com',
+					continueUrl: auth.redirectUri
+				})
+			);
+		});
+
+		test('Sends the action code settings', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponse('{}');
+
+			await auth.sendOobCode('EMAIL_SIGNIN', 'test+1@example.com', {
+				continueUrl: 'https://example.com/finish?step=2',
+				canHandleCodeInApp: true,
+				iOSBundleId: 'com.example.ios',
+				androidPackageName: 'com.example.android',
+				androidInstallApp: true,
+				androidMinimumVersion: '12',
+				dynamicLinkDomain: 'example.page.link',
+				targetProjectId: 'project'
+			});
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				requestType: 'EMAIL_SIGNIN',
+				email: 'test+1@example.com',
+				continueUrl: 'https://example.com/finish?step=2',
+				canHandleCodeInApp: true,
+				iOSBundleId: 'com.example.ios',
+				androidPackageName: 'com.example.android',
+				androidInstallApp: true,
+				androidMinimumVersion: '12',
+				dynamicLinkDomain: 'example.page.link',
+				targetProjectId: 'project'
+			});
+		});
+
+		test("The settings can't change the request", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{}');
+
+			await auth.sendOobCode('PASSWORD_RESET', 'test@example.com', {
+				requestType: 'EMAIL_SIGNIN',
+				email: 'other@example.com'
+			});
+
+			expect(fetch.mock.calls[0][1].body).toEqual('{"requestType":"PASSWORD_RESET","email":"test@example.com"}');
+		});
+
+		test("Doesn't send a continue URL when there is none", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{}');
+
+			await auth.sendOobCode('PASSWORD_RESET', 'test@example.com');
+
+			expect(fetch.mock.calls[0][1].body).toEqual('{"requestType":"PASSWORD_RESET","email":"test@example.com"}');
+		});
+	});
+
+	describe('signInWithEmailLink()', () => {
+		const link = 'https://example.com/finish?mode=signIn&oobCode=code';
+
+		test('sendOobCode() stores the email instead of adding it to the link', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'https://example.com/finish' });
+			fetch.mockResponse('{}');
+
+			await auth.sendOobCode('EMAIL_SIGNIN', 'test@example.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).continueUrl).toEqual('https://example.com/finish');
+			expect(await auth.storage.get('Auth:EmailForSignIn:key:default')).toEqual('test@example.com');
+		});
+
+		test('Signs in with the stored email, and removes it', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponses('{ "idToken": "idToken", "refreshToken": "refreshToken" }', '{"users": [{}]}');
+			await auth.storage.set('Auth:EmailForSignIn:key:default', 'test@example.com');
+
+			await auth.signInWithEmailLink(link);
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ oobCode: 'code', email: 'test@example.com' });
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+			expect(await auth.storage.get('Auth:EmailForSignIn:key:default')).toEqual(null);
+		});
+
+		test('Prefers the email passed by the caller', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponses('{ "idToken": "idToken" }', '{"users": [{}]}');
+			await auth.storage.set('Auth:EmailForSignIn:key:default', 'stored@example.com');
+
+			await auth.signInWithEmailLink(link, 'typed@example.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).email).toEqual('typed@example.com');
+		});
+
+		test('Throws when there is no email', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.signInWithEmailLink(link)).rejects.toMatchObject({ code: 'MISSING_EMAIL' });
+		});
+
+		test('handleSignInRedirect() signs in with the stored email on the same device, and cleans the URL', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			const replaceState = jest.spyOn(history, 'replaceState');
+			replaceState.mockClear();
+			fetch.mockResponses('{ "idToken": "idToken", "refreshToken": "refreshToken" }', '{"users": [{}]}');
+			await auth.storage.set('Auth:EmailForSignIn:key:default', 'test@example.com');
+			window.location.href = 'https://example.com/finish?oobCode=code';
+
+			expect(await auth.handleSignInRedirect()).toMatchObject({ type: 'signIn' });
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ oobCode: 'code', email: 'test@example.com' });
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+			expect(await auth.storage.get('Auth:EmailForSignIn:key:default')).toEqual(null);
+			expect(replaceState).toHaveBeenCalledTimes(1);
+		});
+
+		test('handleSignInRedirect() throws when the link is opened on another device', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			window.location.href = 'https://example.com/finish?oobCode=code';
+
+			await expect(auth.handleSignInRedirect()).rejects.toMatchObject({ code: 'MISSING_EMAIL' });
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
+
+		test('Upgrades anonymous accounts', async () => {
+			const anonymousToken = 'header.' + btoa(JSON.stringify({ firebase: { sign_in_provider: 'anonymous' } })) + '.sig';
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			auth.user = { localId: '1', tokenManager: { idToken: anonymousToken, expiresAt: Date.now() + 3600 * 1000 } };
+			fetch.mockResponses('{ "idToken": "idToken" }', '{"users": [{ "localId": "1" }]}');
+
+			await auth.signInWithEmailLink(link, 'test@example.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: anonymousToken,
+				oobCode: 'code',
+				email: 'test@example.com'
+			});
+		});
+
+		test("Doesn't link to accounts that aren't anonymous", async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses('{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithEmailLink(link, 'test@example.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).idToken).toEqual(undefined);
+		});
+	});
+
+	describe('resetPassword()', () => {
+		test('Sends the correct request', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{}');
+
+			await mockLoggedIn(auth);
+			await auth.resetPassword('code', 'password');
+
+			expect(fetch.mock.calls[0][1].body).toEqual(
+				JSON.stringify({
+					oobCode: 'code',
+					newPassword: 'password'
+				})
+			);
+		});
+
+		test('Only sends oobCode when password is missing', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{}');
+
+			await mockLoggedIn(auth);
+			await auth.resetPassword('code');
+
+			expect(fetch.mock.calls[0][1].body).toEqual('{"oobCode":"code"}');
+		});
+
+		test('Returns the email of the account', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{ "email": "test@mail.com" }');
+
+			await mockLoggedIn(auth);
+			const response = await auth.resetPassword('code', 'password');
+
+			expect(response).toEqual('test@mail.com');
+		});
+	});
+
+	describe('checkActionCode()', () => {
+		test('Checks the code without applying it', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{ "email": "test@example.com", "requestType": "VERIFY_EMAIL" }');
+
+			const info = await auth.checkActionCode('code');
+
+			expect(fetch.mock.calls[0][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:resetPassword?key=key');
+			expect(fetch.mock.calls[0][1].body).toEqual('{"oobCode":"code"}');
+			expect(info).toEqual({ operation: 'VERIFY_EMAIL', email: 'test@example.com', previousEmail: undefined });
+		});
+
+		test('Returns both emails when recovering an email', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{ "email": "old@example.com", "newEmail": "new@example.com", "requestType": "RECOVER_EMAIL" }');
+
+			expect(await auth.checkActionCode('code')).toEqual({
+				operation: 'RECOVER_EMAIL',
+				email: 'old@example.com',
+				previousEmail: 'new@example.com'
+			});
+		});
+
+		test('Returns both emails when changing an email', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse(
+				'{ "email": "old@example.com", "newEmail": "new@example.com", "requestType": "VERIFY_AND_CHANGE_EMAIL" }'
+			);
+
+			expect(await auth.checkActionCode('code')).toEqual({
+				operation: 'VERIFY_AND_CHANGE_EMAIL',
+				email: 'new@example.com',
+				previousEmail: 'old@example.com'
+			});
+		});
+	});
+
+	describe('applyActionCode()', () => {
+		test('Applies the code', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{ "email": "test@example.com", "emailVerified": true }');
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
-			await auth.signUp('email', 'password');
-
-			expect(auth.user.updated).toEqual(true);
+			expect(await auth.applyActionCode('code')).toEqual('test@example.com');
+			expect(fetch.mock.calls[0][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:update?key=key');
+			expect(fetch.mock.calls[0][1].body).toEqual('{"oobCode":"code"}');
 		});
-	});
 
-	describe('signIn()', () => {
-		test('Makes the right request', async () => {
+		test('Refreshes the profile of the signed-in user', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses('{ "email": "test@example.com" }', '{"users": [{ "emailVerified": true }]}');
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
-
-			await auth.signIn('email', 'password');
-			const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+			await auth.applyActionCode('code');
 
-			expect(requestBody).toEqual({
-				email: 'email',
-				password: 'password',
-				returnSecureToken: true
-			});
+			expect(fetch.mock.calls[1][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=key');
+			expect(auth.user.emailVerified).toEqual(true);
 		});
 
-		test('Updates the userData', async () => {
+		test('Signs out when the tokens were revoked by the change', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses('{ "email": "test@example.com" }', [
+				'{"error": {"message": "TOKEN_EXPIRED"}}',
+				{ status: 400 }
+			]);
 
-			fetch.mockResponses('{ "idToken": "123", "refreshToken": "456" }', '{"users": [{ "updated": true }]}');
-			await auth.signIn('email', 'password');
+			await auth.applyActionCode('code');
 
-			expect(auth.user.updated).toEqual(true);
+			expect(auth.user).toEqual(null);
 		});
 	});
 
-	describe('senbOobCode()', () => {
-		test('Throws when request type is "verify email" but not signed-in', async () => {
+	describe('handleActionLink()', () => {
+		const replaceState = jest.spyOn(history, 'replaceState');
+
+		beforeEach(() => {
+			replaceState.mockClear();
+			window.opener = null;
+		});
+
+		test('Asks for a new password for password reset links', async () => {
 			const auth = new Auth({ apiKey: 'key' });
-			await expect(auth.sendOobCode('VERIFY_EMAIL')).rejects.toThrow();
+			fetch.mockResponse('{ "email": "test@example.com", "requestType": "PASSWORD_RESET" }');
+
+			const result = await auth.handleActionLink(
+				'https://example.com/action?mode=resetPassword&oobCode=code&continueUrl=https%3A%2F%2Fexample.com&lang=fr'
+			);
+
+			expect(result).toEqual({
+				type: 'newPasswordRequired',
+				oobCode: 'code',
+				email: 'test@example.com',
+				continueUrl: 'https://example.com',
+				lang: 'fr'
+			});
+			// The password isn't reset yet.
+			expect(fetch.mock.calls[0][1].body).toEqual('{"oobCode":"code"}');
 		});
 
-		test('Sends correct request to "verify email"', async () => {
+		test('Applies email verification links', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponse('{ "email": "test@example.com" }');
 
-			fetch.mockResponse('{}');
-			await mockLoggedIn(auth);
-			await auth.sendOobCode('VERIFY_EMAIL');
+			const result = await auth.handleActionLink('https://example.com/action?mode=verifyEmail&oobCode=code');
 
-			expect(fetch.mock.calls[0][1].body).toEqual(
-				JSON.stringify({
-					idToken: 'idTokenString',
-					requestType: 'VERIFY_EMAIL',
-					email: 'test@example.com',
-					continueUrl: auth.redirectUri + '?email=test@example.com'
-				})
+			expect(result).toEqual({ type: 'emailVerified', email: 'test@example.com' });
+			expect(fetch.mock.calls[0][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:update?key=key');
+		});
+
+		test('Applies email recovery links', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponses(
+				'{ "email": "old@example.com", "newEmail": "new@example.com", "requestType": "RECOVER_EMAIL" }',
+				'{ "email": "old@example.com" }'
 			);
+
+			const result = await auth.handleActionLink('https://example.com/action?mode=recoverEmail&oobCode=code');
+
+			expect(result).toEqual({ type: 'emailRecovered', email: 'old@example.com', previousEmail: 'new@example.com' });
+			expect(fetch.mock.calls[1][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:update?key=key');
 		});
 
-		test('Ignores the email field when making "verify email" request', async () => {
+		test('Applies email change links', async () => {
 			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponses(
+				'{ "email": "old@example.com", "newEmail": "new@example.com", "requestType": "VERIFY_AND_CHANGE_EMAIL" }',
+				'{ "email": "new@example.com" }'
+			);
 
-			fetch.mockResponse('{}');
+			const result = await auth.handleActionLink('https://example.com/action?mode=verifyAndChangeEmail&oobCode=code');
 
-			await mockLoggedIn(auth);
-			await auth.sendOobCode('VERIFY_EMAIL', 'myemail@email.com');
+			expect(result).toEqual({ type: 'emailChanged', email: 'new@example.com', previousEmail: 'old@example.com' });
+		});
 
-			expect(fetch.mock.calls[0][1].body).toEqual(
-				JSON.stringify({
-					idToken: 'idTokenString',
-					requestType: 'VERIFY_EMAIL',
-					email: 'test@example.com',
-					continueUrl: auth.redirectUri + '?email=test@example.com'
-				})
+		test('Signs in with email links', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			fetch.mockResponses(
+				'{ "idToken": "idToken", "refreshToken": "refreshToken" }',
+				'{"users": [{ "email": "test@example.com" }]}'
 			);
+			await auth.storage.set('Auth:EmailForSignIn:key:default', 'test@example.com');
+
+			const result = await auth.handleActionLink('https://example.com/action?mode=signIn&oobCode=code');
+
+			expect(result).toMatchObject({ type: 'signIn', email: 'test@example.com', credential: null });
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ oobCode: 'code', email: 'test@example.com' });
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
 		});
 
-		test('Sends correct request to the other options', async () => {
+		test('Asks for the email when an email link was opened on another device', async () => {
 			const auth = new Auth({ apiKey: 'key' });
-			auth.user = mockUserData;
+			const link = 'https://example.com/action?mode=signIn&oobCode=code';
 
-			fetch.mockResponses('{}', '{}');
-			await auth.sendOobCode('PASSWORD_RESET', 'myemail@email.com');
-			await auth.sendOobCode('EMAIL_SIGNIN', 'myemail@email.com');
+			expect(await auth.handleActionLink(link)).toEqual({ type: 'emailRequired', link });
+			expect(fetch.mock.calls.length).toEqual(0);
+		});
 
-			expect(fetch.mock.calls[0][1].body).toEqual(
-				JSON.stringify({
-					requestType: 'PASSWORD_RESET',
-					email: 'myemail@email.com',
-					continueUrl: auth.redirectUri + '?email=myemail@email.com'
-				})
-			);
+		test('Finishes OAuth redirects', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(authUriResponse, '{ "idToken": "idToken", "context": "context" }', '{"users": [{}]}');
 
-			expect(fetch.mock.calls[1][1].body).toEqual(
-				JSON.stringify({
-					requestType: 'EMAIL_SIGNIN',
-					email: 'myemail@email.com',
-					continueUrl: auth.redirectUri + '?email=myemail@email.com'
-				})
+			await auth.signInWithProvider('google.com');
+			const result = await auth.handleActionLink('redirectHere?code=123&state=flowState');
+
+			expect(result).toMatchObject({ type: 'oauth', context: 'context' });
+			expect(JSON.parse(fetch.mock.calls[1][1].body).requestUri).toEqual('redirectHere?code=123&state=flowState');
+		});
+
+		test('Finishes callbacks that were POSTed', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses(
+				'{ "authUri": "https://provider.com/saml?RelayState=flowState", "sessionId": "sessionId" }',
+				'{ "idToken": "idToken" }',
+				'{"users": [{}]}'
 			);
+
+			await auth.signInWithProvider('saml.example');
+			const postBody = 'SAMLResponse=response&RelayState=flowState';
+			const result = await auth.handleActionLink('redirectHere', { postBody });
+
+			expect(result).toMatchObject({ type: 'oauth' });
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ requestUri: 'redirectHere', postBody });
 		});
-	});
 
-	describe('resetPassword()', () => {
-		test('Sends the correct request', async () => {
-			const auth = new Auth({ apiKey: 'key' });
-			fetch.mockResponse('{}');
+		test('Passes callbacks in popups back to the opener, along with their body', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			const close = jest.spyOn(window, 'close').mockImplementation(() => {});
+			window.opener = { postMessage: jest.fn() };
+			window.name = 'Auth:Popup:key:default';
+			window.location.href = 'redirectHere';
 
-			await mockLoggedIn(auth);
-			await auth.resetPassword('code', 'password');
+			const postBody = 'code=123&state=flowState';
+			expect(await auth.handleActionLink(undefined, { postBody })).toEqual({ type: 'popup' });
 
-			expect(fetch.mock.calls[0][1].body).toEqual(
-				JSON.stringify({
-					oobCode: 'code',
-					newPassword: 'password'
-				})
+			expect(window.opener.postMessage).toHaveBeenCalledWith(
+				{ type: 'signInRedirect', url: 'redirectHere', postBody },
+				location.origin
 			);
+			expect(close).toHaveBeenCalled();
+			expect(replaceState).toHaveBeenCalledTimes(0);
+			expect(fetch.mock.calls.length).toEqual(0);
+			window.name = '';
+			close.mockRestore();
 		});
 
-		test('Only sends oobCode when password is missing', async () => {
+		test('Ignores other URLs', async () => {
 			const auth = new Auth({ apiKey: 'key' });
-			fetch.mockResponse('{}');
-
-			await mockLoggedIn(auth);
-			await auth.resetPassword('code');
 
-			expect(fetch.mock.calls[0][1].body).toEqual('{"oobCode":"code"}');
+			expect(await auth.handleActionLink('https://example.com/page?mode=unknown&oobCode=code')).toEqual({
+				type: 'none'
+			});
+			expect(await auth.handleActionLink('https://example.com/page')).toEqual({ type: 'none' });
+			expect(fetch.mock.calls.length).toEqual(0);
 		});
 
-		test('Returns the email of the account', async () => {
+		test('Cleans the URL when it is the current location', async () => {
 			const auth = new Auth({ apiKey: 'key' });
-			fetch.mockResponse('{ "email": "test@mail.com" }');
+			fetch.mockResponse('{ "email": "test@example.com" }');
 
-			await mockLoggedIn(auth);
-			const response = await auth.resetPassword('code', 'password');
+			await auth.handleActionLink('https://example.com/action?mode=verifyEmail&oobCode=code');
+			expect(replaceState).toHaveBeenCalledTimes(0);
 
-			expect(response).toEqual('test@mail.com');
+			window.location.href = 'https://example.com/action?mode=verifyEmail&oobCode=code';
+			await auth.handleActionLink();
+			expect(replaceState).toHaveBeenCalledTimes(1);
 		});
 	});
 
@@ -932,7 +2901,7 @@ describe('Auth', () => {
 			await auth.fetchProfile();
 			const storedData = JSON.parse(localStorage.getItem('Auth:User:key:default'));
 
-			expect(storedData).toEqual(mockUserData);
+			expect(storedData).toEqual({ ...mockUserData, signedInAt: expect.any(Number) });
 		});
 
 		test('Uses the tokenManager argument when its passed', async () => {
@@ -945,4 +2914,356 @@ describe('Auth', () => {
 			expect(fetch.mock.calls[0][1].body).toEqual('{"idToken":"providedIdToken"}');
 		});
 	});
+
+	describe('Linking and unlinking providers', () => {
+		test('linkWithEmailAndPassword() links the credential and refreshes the profile', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses(
+				'{ "localId": "1", "idToken": "linked", "refreshToken": "linkedRefresh" }',
+				'{"users": [{ "providerUserInfo": [{ "providerId": "password" }] }]}'
+			);
+
+			await auth.linkWithEmailAndPassword('test@example.com', 'password');
+
+			expect(fetch.mock.calls[0][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:update?key=key');
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				email: 'test@example.com',
+				password: 'password',
+				returnSecureToken: true
+			});
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ idToken: 'linked' });
+			expect(auth.user.providerUserInfo).toEqual([{ providerId: 'password' }]);
+			expect(auth.user.tokenManager.refreshToken).toEqual('linkedRefresh');
+		});
+
+		test('unlinkProvider() removes the provider and refreshes the profile', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses('{}', '{"users": [{ "providerUserInfo": [] }]}');
+
+			await auth.unlinkProvider('google.com');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				idToken: 'idTokenString',
+				deleteProvider: ['google.com']
+			});
+			expect(fetch.mock.calls[1][0]).toEqual('https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=key');
+			expect(auth.user.providerUserInfo).toEqual([]);
+		});
+
+		test('Enforces a signed-in user', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(auth.unlinkProvider('google.com')).rejects.toMatchObject({ code: 'USER_NOT_SIGNED_IN' });
+			await expect(auth.linkWithEmailAndPassword('email', 'password')).rejects.toMatchObject({
+				code: 'USER_NOT_SIGNED_IN'
+			});
+		});
+	});
+
+	describe('signInWithCredential()', () => {
+		test('Signs in with the credential of the provider', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'https://example.com' });
+			fetch.mockResponses('{ "idToken": "idToken", "refreshToken": "refreshToken" }', '{"users": [{ "localId": "1" }]}');
+
+			await auth.signInWithCredential({ providerId: 'apple.com', idToken: 'appleToken', nonce: 'raw nonce' });
+
+			expect(fetch.mock.calls[0][0]).toEqual(
+				'https://identitytoolkit.googleapis.com/v1/accounts:signInWithIdp?key=key'
+			);
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				requestUri: 'https://example.com',
+				postBody: 'providerId=apple.com&id_token=appleToken&nonce=raw%20nonce',
+				returnSecureToken: true,
+				returnIdpCredential: true
+			});
+			expect(auth.user.localId).toEqual('1');
+			expect(auth.user.tokenManager.idToken).toEqual('idToken');
+		});
+
+		test('Returns the credential and the profile from the provider', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'https://example.com' });
+			fetch.mockResponses(
+				JSON.stringify({
+					idToken: 'idToken',
+					providerId: 'twitter.com',
+					oauthAccessToken: 'accessToken',
+					oauthTokenSecret: 'secret',
+					rawUserInfo: '{"name":"Test"}',
+					screenName: 'test',
+					isNewUser: true
+				}),
+				'{"users": [{ "localId": "1" }]}'
+			);
+
+			const result = await auth.signInWithCredential({ providerId: 'twitter.com', accessToken: 'accessToken' });
+
+			expect(result).toEqual({
+				type: 'signIn',
+				user: auth.user,
+				credential: {
+					providerId: 'twitter.com',
+					accessToken: 'accessToken',
+					idToken: undefined,
+					oauthTokenSecret: 'secret'
+				},
+				additionalUserInfo: {
+					providerId: 'twitter.com',
+					profile: { name: 'Test' },
+					username: 'test',
+					isNewUser: true
+				},
+				isNewUser: true,
+				context: undefined
+			});
+		});
+
+		test('Returns a conflict when the email of the provider belongs to another account', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'https://example.com' });
+			fetch.mockResponse(
+				JSON.stringify({
+					needConfirmation: true,
+					email: 'test@example.com',
+					providerId: 'google.com',
+					oauthIdToken: 'oauthIdToken'
+				})
+			);
+
+			const result = await auth.signInWithCredential({ providerId: 'google.com', idToken: 'oauthIdToken' });
+
+			expect(result).toEqual({
+				type: 'credentialConflict',
+				code: 'NEED_CONFIRMATION',
+				email: 'test@example.com',
+				pendingCredential: {
+					providerId: 'google.com',
+					pendingToken: undefined,
+					idToken: 'oauthIdToken',
+					accessToken: undefined,
+					oauthTokenSecret: undefined
+				}
+			});
+			expect(fetch.mock.calls.length).toEqual(1);
+			expect(auth.user).toEqual(null);
+		});
+
+		test('Links the credential to the current account', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'https://example.com' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses('{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithCredential({ providerId: 'google.com', accessToken: 'accessToken', linkAccount: true });
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({
+				idToken: 'idTokenString',
+				postBody: 'providerId=google.com&access_token=accessToken'
+			});
+		});
+
+		test('Enforces a signed-in user when linking', async () => {
+			const auth = new Auth({ apiKey: 'key' });
+
+			await expect(
+				auth.signInWithCredential({ providerId: 'google.com', idToken: 'token', linkAccount: true })
+			).rejects.toMatchObject({ code: 'USER_NOT_SIGNED_IN' });
+		});
+	});
+
+	describe('Credential conflicts', () => {
+		const conflictResponse = JSON.stringify({
+			errorMessage: 'FEDERATED_USER_ID_ALREADY_LINKED',
+			email: 'test@example.com',
+			providerId: 'google.com',
+			oauthIdToken: 'oauthIdToken',
+			oauthAccessToken: 'oauthAccessToken',
+			pendingToken: 'pendingToken'
+		});
+
+		test('Returns the pending credential when linking a provider of another account', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			await mockLoggedIn(auth);
+			fetch.mockResponses(authUriResponse, conflictResponse);
+
+			await auth.signInWithProvider({ provider: 'google.com', linkAccount: true });
+			window.opener = null;
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			const result = await auth.handleSignInRedirect();
+
+			expect(result).toEqual({
+				type: 'credentialConflict',
+				code: 'FEDERATED_USER_ID_ALREADY_LINKED',
+				email: 'test@example.com',
+				pendingCredential: {
+					providerId: 'google.com',
+					pendingToken: 'pendingToken',
+					idToken: 'oauthIdToken',
+					accessToken: 'oauthAccessToken'
+				}
+			});
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(auth.user).toEqual(mockUserData);
+		});
+
+		test('signInWithPendingCredential() signs in with the pending token, after migrating', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			await mockLoggedIn(auth);
+			auth.user = { ...mockUserData, localId: 'anonymous' };
+			fetch.mockResponses(
+				'{ "localId": "existing", "idToken": "idToken", "refreshToken": "refreshToken" }',
+				'{"users": [{ "localId": "existing" }]}'
+			);
+
+			const migrate = jest.fn(() => expect(auth.user.localId).toEqual('anonymous'));
+			await auth.signInWithPendingCredential({ providerId: 'google.com', pendingToken: 'pendingToken' }, { migrate });
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				requestUri: 'redirectHere',
+				pendingToken: 'pendingToken',
+				returnSecureToken: true
+			});
+			expect(migrate).toHaveBeenCalledWith({ from: 'anonymous', to: 'existing', idToken: 'idToken' });
+			expect(auth.user.localId).toEqual('existing');
+		});
+
+		test('signInWithPendingCredential() sends the OAuth tokens when there is no pending token', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			fetch.mockResponses('{ "idToken": "idToken" }', '{"users": [{}]}');
+
+			await auth.signInWithPendingCredential({ providerId: 'google.com', idToken: 'id+token' });
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body).postBody).toEqual('providerId=google.com&id_token=id%2Btoken');
+		});
+	});
+
+	describe('Reauthentication', () => {
+		async function signedInAuth() {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+			await mockLoggedIn(auth);
+			auth.user = { ...mockUserData, localId: '1' };
+			return auth;
+		}
+
+		test('reauthenticateWithPassword() replaces the tokens of the current user', async () => {
+			const auth = await signedInAuth();
+			const listener = jest.fn();
+			auth.on('tokenRefresh', listener);
+			fetch.mockResponse('{ "localId": "1", "idToken": "fresh", "refreshToken": "freshRefresh" }');
+
+			await auth.reauthenticateWithPassword('password');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				email: 'test@example.com',
+				password: 'password',
+				returnSecureToken: true
+			});
+			expect(auth.user.localId).toEqual('1');
+			expect(auth.user.tokenManager.idToken).toEqual('fresh');
+			expect(auth.user.tokenManager.refreshToken).toEqual('freshRefresh');
+			expect(listener).toHaveBeenCalledWith({ user: auth.user, reason: 'REAUTHENTICATION' });
+		});
+
+		test('Throws when a different account signs in', async () => {
+			const auth = await signedInAuth();
+			fetch.mockResponse('{ "localId": "2", "idToken": "other" }');
+
+			await expect(auth.reauthenticateWithPassword('password')).rejects.toMatchObject({ code: 'USER_MISMATCH' });
+			expect(auth.user.tokenManager.idToken).toEqual('idTokenString');
+		});
+
+		test('Returns a MfaRequiredResult when the account requires a second factor', async () => {
+			const auth = await signedInAuth();
+			fetch.mockResponse('{ "mfaPendingCredential": "pending", "mfaInfo": [] }');
+
+			expect(await auth.reauthenticateWithPassword('password')).toEqual({
+				type: 'mfaRequired',
+				mfaPendingCredential: 'pending',
+				mfaInfo: []
+			});
+		});
+
+		test('finishMfaSignIn() finishes the reauthentication of an account with a second factor', async () => {
+			const auth = await signedInAuth();
+			const listener = jest.fn();
+			auth.on('tokenRefresh', listener);
+			const idToken = 'header.' + btoa(JSON.stringify({ sub: '1' })) + '.sig';
+			fetch.mockResponses(
+				'{ "mfaPendingCredential": "pending", "mfaInfo": [] }',
+				JSON.stringify({ idToken, refreshToken: 'freshRefresh' })
+			);
+
+			await auth.reauthenticateWithPassword('password');
+			const result = await auth.finishMfaSignIn('pending', { sessionInfo: 'session', code: '123456' });
+
+			expect(result).toMatchObject({ type: 'signIn', user: auth.user });
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(auth.user.localId).toEqual('1');
+			expect(auth.user.tokenManager.idToken).toEqual(idToken);
+			expect(auth.user.signedInAt).toBeGreaterThan(Date.now() - 1000);
+			expect(listener).toHaveBeenCalledWith({ user: auth.user, reason: 'REAUTHENTICATION' });
+		});
+
+		test('finishMfaSignIn() throws when a different account reauthenticates', async () => {
+			const auth = await signedInAuth();
+			const idToken = 'header.' + btoa(JSON.stringify({ sub: '2' })) + '.sig';
+			fetch.mockResponses('{ "mfaPendingCredential": "pending" }', JSON.stringify({ idToken }));
+
+			await auth.reauthenticateWithPassword('password');
+
+			await expect(auth.finishMfaSignIn('pending', { sessionInfo: 'session', code: '123456' })).rejects.toMatchObject({
+				code: 'USER_MISMATCH'
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('idTokenString');
+		});
+
+		test('reauthenticateWithProvider() finishes without replacing the user', async () => {
+			const auth = await signedInAuth();
+			fetch.mockResponses(authUriResponse, '{ "localId": "1", "idToken": "fresh", "refreshToken": "freshRefresh" }');
+
+			await auth.reauthenticateWithProvider('google.com');
+			expect(window.location.href).toEqual('https://provider.com/auth?state=flowState');
+
+			window.opener = null;
+			window.location.href = 'redirectHere?code=123&state=flowState';
+			await auth.handleSignInRedirect();
+
+			// The idToken of the current user isn't sent, so the credential isn't linked to it.
+			expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+				requestUri: 'redirectHere?code=123&state=flowState',
+				sessionId: 'sessionId',
+				returnSecureToken: true,
+				returnIdpCredential: true
+			});
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(auth.user.tokenManager.idToken).toEqual('fresh');
+			expect(await auth.storage.get('Auth:Reauthenticate:key:default')).toEqual(null);
+		});
+
+		test('reauthenticateWithEmailLink() uses the code in the link, and removes the stored email', async () => {
+			const auth = await signedInAuth();
+			fetch.mockResponse('{ "localId": "1", "idToken": "fresh" }');
+
+			await auth.storage.set('Auth:EmailForSignIn:key:default', 'test@example.com');
+
+			await auth.reauthenticateWithEmailLink('redirectHere?oobCode=code');
+
+			expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+				oobCode: 'code',
+				email: 'test@example.com',
+				returnSecureToken: true
+			});
+			expect(auth.user.tokenManager.idToken).toEqual('fresh');
+			expect(await auth.storage.get('Auth:EmailForSignIn:key:default')).toEqual(null);
+		});
+
+		test('Enforces a signed-in user', async () => {
+			const auth = new Auth({ apiKey: 'key', redirectUri: 'redirectHere' });
+
+			await expect(auth.reauthenticateWithPassword('password')).rejects.toMatchObject({ code: 'USER_NOT_SIGNED_IN' });
+			await expect(auth.reauthenticateWithProvider('google.com')).rejects.toMatchObject({
+				code: 'USER_NOT_SIGNED_IN'
+			});
+		});
+	});
 });
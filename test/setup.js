@@ -1 +1,14 @@
+/* eslint-env node */
 require('jest-fetch-mock').enableMocks();
+
+// jsdom doesn't implement WebCrypto, which is used for the nonces of federated sign-ins.
+// Node only has it since version 15, so the parts that are used are implemented with the crypto module.
+const { randomFillSync, createHash } = require('crypto');
+
+global.crypto = {
+	getRandomValues: array => randomFillSync(array),
+	subtle: {
+		digest: async (algorithm, data) => createHash(algorithm.replace('-', '').toLowerCase()).update(data).digest()
+	}
+};
+global.TextEncoder = require('util').TextEncoder;